@@ -2,16 +2,19 @@
   PFP Generator - Web2-only Editor
   - Fabric.js 2D canvas editor for uploading a photo, adding stickers, transforming, and exporting.
   - Features: drag/scale/rotate, flip H/V, layer up/down, delete, opacity, blend mode, snap-to-center, nudge keys, zoom/pan, undo/redo, presets export, JPG/WebP quality, center-crop option.
-  - State: client-side only.
+  - State: client-side only. Projects can be saved/opened as self-contained .mmga JSON bundles.
 */
 (function () {
 	'use strict';
 
 	/** Global State **/
 	let fabricCanvas = null;
-	let originalImage = null; // HTMLImageElement or ImageBitmap for original uploaded photo
+	let originalImage = null; // HTMLImageElement, or an upright canvas when EXIF orientation had to be applied by hand
+	let originalImageBlob = null; // uploaded file bytes (HEIC converted to JPEG), embedded as-is in project saves
 	let originalImageNaturalWidth = 0;
 	let originalImageNaturalHeight = 0;
+	let photoEdits = defaultPhotoEdits(); // non-destructive crop/rotate/filter parameters for the photo
+	let canvasTemplate = null; // fixed-size document (banner/header) instead of the photo's own frame
 	let currentZoom = 1;
 	const minZoom = 0.1;
 	const maxZoom = 5;
@@ -21,9 +24,16 @@
 	let spaceKeyActive = false;
 
 	// History for undo/redo
-	const historyStack = [];
-	const redoStack = [];
-	const maxHistory = 50;
+	let historySuspended = false;
+	// Extra object properties kept in history snapshots and project files
+	const SERIALIZE_PROPS = ['data', 'globalCompositeOperation', 'selectable', 'evented'];
+
+	// Last used export dialog settings (also stored in project files)
+	const exportSettings = {
+		sizeSel: 'original', fmt: 'png', cropSquare: false, quality: 0.95, maskShape: 'none', applyMask: false, metadata: 'strip',
+		batch: { sizes: ['original', '1500', '400', '128'], formats: ['png'] },
+		animation: { fmt: 'gif', fps: 15, loop: 0 }
+	};
 
 	// Elements
 	const photoInput = document.getElementById('photoInput');
@@ -41,10 +51,89 @@
 	const deleteBtn = document.getElementById('deleteBtn');
 	const opacityRange = document.getElementById('opacityRange');
 	const blendModeSelect = document.getElementById('blendModeSelect');
+	const motionSelect = document.getElementById('motionSelect');
+	const arrangeToolbar = document.getElementById('arrangeToolbar');
+	const groupBtn = document.getElementById('groupBtn');
+	const ungroupBtn = document.getElementById('ungroupBtn');
+	const stickerLibrary = document.querySelector('.sticker-library');
+	const stickerSheetHandle = document.getElementById('stickerSheetHandle');
 	const stickerSearch = document.getElementById('stickerSearch');
 	const stickerTabs = document.getElementById('stickerTabs');
 	const stickerGrid = document.getElementById('stickerGrid');
+	const canvasWrapper = document.querySelector('.canvas-wrapper');
+	const customStickerInput = document.getElementById('customStickerInput');
 	const floatingTokenBtn = document.getElementById('floatingTokenBtn');
+	const saveProjectBtn = document.getElementById('saveProjectBtn');
+	const openProjectBtn = document.getElementById('openProjectBtn');
+	const projectInput = document.getElementById('projectInput');
+	const recentSessionsBtn = document.getElementById('recentSessionsBtn');
+	const addTextBtn = document.getElementById('addTextBtn');
+	const memeTextBtn = document.getElementById('memeTextBtn');
+	const drawModeBtn = document.getElementById('drawModeBtn');
+	const presetsBtn = document.getElementById('presetsBtn');
+	const drawToolbar = document.getElementById('drawToolbar');
+	const drawToolSelect = document.getElementById('drawToolSelect');
+	const drawStrokeInput = document.getElementById('drawStrokeInput');
+	const drawWidthRange = document.getElementById('drawWidthRange');
+	const shapeFillInput = document.getElementById('shapeFillInput');
+	const shapeFillToggle = document.getElementById('shapeFillToggle');
+	const restoreErasedBtn = document.getElementById('restoreErasedBtn');
+	const textToolbar = document.getElementById('textToolbar');
+	const textFontSelect = document.getElementById('textFontSelect');
+	const textFillInput = document.getElementById('textFillInput');
+	const textStrokeInput = document.getElementById('textStrokeInput');
+	const textStrokeWidthRange = document.getElementById('textStrokeWidthRange');
+	const textShadowToggle = document.getElementById('textShadowToggle');
+	const textSpacingRange = document.getElementById('textSpacingRange');
+	const textAlignSelect = document.getElementById('textAlignSelect');
+	const tintToolbar = document.getElementById('tintToolbar');
+	const tintColorInput = document.getElementById('tintColorInput');
+	const tintModeSelect = document.getElementById('tintModeSelect');
+	const tintStrengthRange = document.getElementById('tintStrengthRange');
+	const tintHueRange = document.getElementById('tintHueRange');
+	const tintSaturationRange = document.getElementById('tintSaturationRange');
+	const tintResetBtn = document.getElementById('tintResetBtn');
+	const adjustToolbar = document.getElementById('adjustToolbar');
+	const adjustBrightnessRange = document.getElementById('adjustBrightnessRange');
+	const adjustContrastRange = document.getElementById('adjustContrastRange');
+	const adjustSaturationRange = document.getElementById('adjustSaturationRange');
+	const adjustBlurRange = document.getElementById('adjustBlurRange');
+	const adjustShadowToggle = document.getElementById('adjustShadowToggle');
+	const adjustShadowColorInput = document.getElementById('adjustShadowColorInput');
+	const adjustShadowBlurRange = document.getElementById('adjustShadowBlurRange');
+	const adjustResetBtn = document.getElementById('adjustResetBtn');
+	const photoModeBtn = document.getElementById('photoModeBtn');
+	const faceCycleBtn = document.getElementById('faceCycleBtn');
+	const faceDetectBtn = document.getElementById('faceDetectBtn');
+	const photoToolbar = document.getElementById('photoToolbar');
+	const photoAspectSelect = document.getElementById('photoAspectSelect');
+	const photoZoomRange = document.getElementById('photoZoomRange');
+	const photoPanXRange = document.getElementById('photoPanXRange');
+	const photoPanYRange = document.getElementById('photoPanYRange');
+	const photoRotateLeftBtn = document.getElementById('photoRotateLeftBtn');
+	const photoRotateRightBtn = document.getElementById('photoRotateRightBtn');
+	const photoStraightenRange = document.getElementById('photoStraightenRange');
+	const photoFlipHBtn = document.getElementById('photoFlipHBtn');
+	const photoFlipVBtn = document.getElementById('photoFlipVBtn');
+	const photoFilterSelect = document.getElementById('photoFilterSelect');
+	const photoVibranceRange = document.getElementById('photoVibranceRange');
+	const photoSharpenToggle = document.getElementById('photoSharpenToggle');
+	const photoResetBtn = document.getElementById('photoResetBtn');
+	const snapMarginSelect = document.getElementById('snapMarginSelect');
+	const avatarMaskSelect = document.getElementById('avatarMaskSelect');
+	const avatarPreview = document.getElementById('avatarPreview');
+	const newFromTemplateBtn = document.getElementById('newFromTemplateBtn');
+	const layersList = document.getElementById('layersList');
+	const inspectorPanel = document.getElementById('inspectorPanel');
+	const resetTransformBtn = document.getElementById('resetTransformBtn');
+	const fitToCanvasBtn = document.getElementById('fitToCanvasBtn');
+	const inspectorLockAspect = document.getElementById('inspectorLockAspect');
+	const inspectorFlipX = document.getElementById('inspectorFlipX');
+	const inspectorFlipY = document.getElementById('inspectorFlipY');
+	const historyList = document.getElementById('historyList');
+	const historyUsage = document.getElementById('historyUsage');
+	const bringToFrontBtn = document.getElementById('bringToFrontBtn');
+	const sendToBackBtn = document.getElementById('sendToBackBtn');
 
 	/** Utility Functions **/
 	function showNotification(message, type = 'info') {
@@ -73,12 +162,107 @@
 		};
 	}
 
+	function downloadBlob(blob, filename) {
+		const a = document.createElement('a');
+		a.href = URL.createObjectURL(blob);
+		a.download = filename;
+		a.click();
+		setTimeout(() => URL.revokeObjectURL(a.href), 0);
+	}
+
+	function blobToDataURL(blob) {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error || new Error('Failed to read blob'));
+			reader.readAsDataURL(blob);
+		});
+	}
+
+	function loadImageElement(src) {
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			img.crossOrigin = 'anonymous';
+			img.onload = () => resolve(img);
+			img.onerror = () => reject(new Error('Failed to load image'));
+			img.src = src;
+		});
+	}
+
+	function imageElementToDataURL(el) {
+		const w = el.naturalWidth || el.width;
+		const h = el.naturalHeight || el.height;
+		const c = document.createElement('canvas');
+		c.width = w;
+		c.height = h;
+		c.getContext('2d').drawImage(el, 0, 0, w, h);
+		return c.toDataURL('image/png');
+	}
+
 	function getTimestamp() {
 		const pad = (n) => String(n).padStart(2, '0');
 		const d = new Date();
 		return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
 	}
 
+	// Modal shell shared by the editor dialogs; returns the card body to fill in
+	function createDialog(title) {
+		const dialog = document.createElement('div');
+		dialog.style.position = 'fixed';
+		dialog.style.inset = '0';
+		dialog.style.background = 'rgba(0,0,0,0.6)';
+		dialog.style.display = 'flex';
+		dialog.style.alignItems = 'center';
+		dialog.style.justifyContent = 'center';
+		dialog.style.zIndex = '10000';
+		const card = document.createElement('div');
+		card.style.background = 'rgba(15,20,25,0.95)';
+		card.style.border = '1px solid rgba(135,206,235,0.4)';
+		card.style.borderRadius = '12px';
+		card.style.padding = '16px';
+		card.style.minWidth = '320px';
+		card.style.maxWidth = '90vw';
+		card.style.maxHeight = '90vh';
+		card.style.overflowY = 'auto';
+		card.style.color = '#fff';
+		card.innerHTML = `
+			<div style="display:flex; align-items:center; justify-content:space-between; gap:8px; margin-bottom:12px;">
+				<h3 style="margin:0; font-size:18px;"></h3>
+				<button class="btn btn-ghost" data-dialog-close>✕</button>
+			</div>
+			<div data-dialog-body style="display:grid; gap:10px;"></div>
+		`;
+		card.querySelector('h3').textContent = title;
+		dialog.appendChild(card);
+		document.body.appendChild(dialog);
+		const close = () => dialog.remove();
+		card.querySelector('[data-dialog-close]').onclick = close;
+		return { dialog, card, body: card.querySelector('[data-dialog-body]'), close };
+	}
+
+	// Resolves true when the user confirms; closing the dialog any other way counts as cancel
+	function confirmDialog(title, message, confirmLabel = 'OK') {
+		return new Promise((resolve) => {
+			const { card, body, close } = createDialog(title);
+			body.innerHTML = `
+				<p style="margin:0;"></p>
+				<div style="display:flex; gap:8px; justify-content:flex-end;">
+					<button class="btn btn-ghost" data-action="cancel">Cancel</button>
+					<button class="btn btn-primary" data-action="confirm">${confirmLabel}</button>
+				</div>
+			`;
+			body.querySelector('p').textContent = message;
+			const finish = (ok) => {
+				close();
+				resolve(ok);
+			};
+			card.querySelector('[data-dialog-close]').onclick = () => finish(false);
+			body.querySelector('[data-action="cancel"]').onclick = () => finish(false);
+			body.querySelector('[data-action="confirm"]').onclick = () => finish(true);
+			body.querySelector('[data-action="confirm"]').focus();
+		});
+	}
+
 	/** Fabric Setup **/
 	function initFabricCanvas() {
 		const canvasEl = document.getElementById('editorCanvas');
@@ -93,18 +277,17 @@
 			fireRightClick: false,
 			stopContextMenu: true,
 			uniformScaling: false,
+			centeredKey: 'ctrlKey', // Alt is the snapping bypass
 			enableRetinaScaling: true,
 			imageSmoothingEnabled: true
 		});
+		attachMotionRendering(fabricCanvas);
 		// Configure uniform scaling with Shift
 		fabric.Object.prototype.transparentCorners = false;
 		fabric.Object.prototype.cornerStyle = 'circle';
 		fabric.Object.prototype.cornerColor = '#87CEEB';
 		fabric.Object.prototype.borderColor = '#87CEEB';
-		fabric.Object.prototype.cornerSize = 10;
-		fabric.Object.prototype.padding = 5;
 		fabric.Object.prototype.objectCaching = false;
-		fabric.Object.prototype.snapAngle = 1;
 		fabric.Object.prototype.controls.mtr.withConnection = true;
 		// Enable proportional scaling with Shift
 		const setUniformFromShift = (eventData, transform) => {
@@ -155,53 +338,207 @@
 
 		// Snap-to-center guidelines
 		fabricCanvas.on('object:moving', handleSnapToGuides);
-		fabricCanvas.on('object:scaling', handleSnapToGuides);
-		fabricCanvas.on('object:rotating', handleSnapToGuides);
+		fabricCanvas.on('object:scaling', handleSnapScaling);
+		fabricCanvas.on('object:rotating', handleSnapRotation);
+		fabricCanvas.on('mouse:up', clearSnapGuides);
+
+		// Avatar mask overlay and live profile previews
+		fabricCanvas.on('after:render', (opt) => {
+			// Offscreen renders (thumbnails, previews) fire this too; only decorate the visible canvas
+			if (opt.ctx !== fabricCanvas.contextContainer) return;
+			drawAvatarMaskOverlay(opt.ctx);
+			drawFaceHighlight(opt.ctx);
+			drawSnapGuides(opt.ctx);
+			scheduleAvatarPreview();
+		});
+
+		// Keep contextual toolbars in sync with the selection
+		fabricCanvas.on('selection:created', syncToolbarToSelection);
+		fabricCanvas.on('selection:updated', syncToolbarToSelection);
+		fabricCanvas.on('selection:cleared', syncToolbarToSelection);
+
+		// Layers panel mirrors the object stack and the active selection
+		fabricCanvas.on('object:added', scheduleLayersRender);
+		// Covers new stickers as well as layers re-created by undo, duplicate and project loads
+		fabricCanvas.on('object:added', (opt) => {
+			if (!opt.target) return;
+			forEachLayerDeep((o) => {
+				if (o.data && o.data.animSrc) attachAnimation(o);
+				if (o.data && o.data.motion) startAnimationLoop();
+			}, [opt.target]);
+		});
+		fabricCanvas.on('object:removed', scheduleLayersRender);
+		fabricCanvas.on('object:modified', (opt) => {
+			if (opt.target) layerThumbCache.delete(opt.target);
+			scheduleLayersRender();
+		});
+		fabricCanvas.on('text:changed', (opt) => refreshLayerThumb(opt.target));
+		fabricCanvas.on('selection:created', scheduleLayersRender);
+		fabricCanvas.on('selection:updated', scheduleLayersRender);
+		fabricCanvas.on('selection:cleared', scheduleLayersRender);
 
 		// History on modification
-		fabricCanvas.on('object:modified', pushHistory);
-		fabricCanvas.on('object:added', pushHistory);
-		fabricCanvas.on('object:removed', pushHistory);
+		// Adds and removals are recorded by the actions that cause them, each with its own label
+		fabricCanvas.on('object:modified', (opt) => pushHistory(describeModification(opt), opt.target ? [opt.target] : undefined));
+
+		wireTouchGestures();
 	}
 
-	function handleSnapToGuides(opt) {
-		const obj = opt.target;
-		if (!obj) return;
-		const canvasWidth = fabricCanvas.getWidth();
-		const canvasHeight = fabricCanvas.getHeight();
-		const centerX = canvasWidth / 2;
-		const centerY = canvasHeight / 2;
-		const threshold = 6 / currentZoom; // adjust by zoom
+	/** Smart Guides **/
+	const SNAP_DISTANCE = 6; // screen pixels
+	const ROTATION_STEP = 15; // degrees, with Shift
+	const snapSettings = { margin: 0.05 }; // safe margin as a fraction of the shorter canvas edge; 0 = off
+	let snapGuides = [];
+
+	// Lines worth snapping to on one axis: canvas edges, centre and thirds, the safe margin and other layers
+	function getSnapTargets(axis, exclude) {
+		const size = axis === 'x' ? fabricCanvas.getWidth() : fabricCanvas.getHeight();
+		const targets = [0, size / 3, size / 2, (size * 2) / 3, size].map((pos) => ({ pos, kind: 'canvas' }));
+		if (snapSettings.margin > 0) {
+			const m = Math.min(fabricCanvas.getWidth(), fabricCanvas.getHeight()) * snapSettings.margin;
+			targets.push({ pos: m, kind: 'margin' }, { pos: size - m, kind: 'margin' });
+		}
+		fabricCanvas.getObjects().forEach((o) => {
+			if (exclude.includes(o) || !o.visible) return;
+			const r = o.getBoundingRect(true, true);
+			const start = axis === 'x' ? r.left : r.top;
+			const length = axis === 'x' ? r.width : r.height;
+			targets.push({ pos: start, kind: 'layer' }, { pos: start + length / 2, kind: 'layer' }, { pos: start + length, kind: 'layer' });
+		});
+		return targets;
+	}
 
-		// object's center after transform
-		const objCenter = obj.getCenterPoint();
+	// Closest target to any of the given edges within the threshold: { delta, pos, kind } or null
+	function findSnap(edges, targets, threshold) {
+		let best = null;
+		edges.forEach((edge) => {
+			targets.forEach((t) => {
+				const delta = t.pos - edge;
+				if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+					best = { delta, pos: t.pos, kind: t.kind };
+				}
+			});
+		});
+		return best;
+	}
+
+	function getSnapExclusions(obj) {
+		return obj.type === 'activeSelection' ? [obj, ...obj.getObjects()] : [obj];
+	}
+
+	// Alt skips snapping; Fabric's scale-from-centre moves to Ctrl (see initFabricCanvas) so the two never clash
+	function isSnapBypassed(e) {
+		return !!e && e.altKey;
+	}
 
-		let snapped = false;
-		if (Math.abs(objCenter.x - centerX) < threshold) {
-			obj.centeredScaling = true;
-			obj.setPositionByOrigin(new fabric.Point(centerX, objCenter.y), 'center', 'center');
-			snapped = true;
+	// Snaps the dragged layer's edges and centre; Alt disables snapping for the drag
+	function handleSnapToGuides(opt) {
+		const obj = opt.target;
+		snapGuides = [];
+		if (!obj || isSnapBypassed(opt.e)) return;
+		const threshold = SNAP_DISTANCE / fabricCanvas.getZoom();
+		const exclude = getSnapExclusions(obj);
+		const r = obj.getBoundingRect(true, true);
+		const snapX = findSnap([r.left, r.left + r.width / 2, r.left + r.width], getSnapTargets('x', exclude), threshold);
+		const snapY = findSnap([r.top, r.top + r.height / 2, r.top + r.height], getSnapTargets('y', exclude), threshold);
+		if (snapX) {
+			obj.left += snapX.delta;
+			snapGuides.push({ axis: 'x', pos: snapX.pos, kind: snapX.kind });
 		}
-		if (Math.abs(objCenter.y - centerY) < threshold) {
-			obj.centeredScaling = true;
-			obj.setPositionByOrigin(new fabric.Point(objCenter.x, centerY), 'center', 'center');
-			snapped = true;
+		if (snapY) {
+			obj.top += snapY.delta;
+			snapGuides.push({ axis: 'y', pos: snapY.pos, kind: snapY.kind });
+		}
+		if (snapX || snapY) obj.setCoords();
+	}
+
+	// Snaps the edges being dragged while scaling; only for unrotated layers, where edges map to scale directly
+	function handleSnapScaling(opt) {
+		const obj = opt.target;
+		const t = opt.transform;
+		snapGuides = [];
+		if (!obj || !t || isSnapBypassed(opt.e) || (obj.angle || 0) % 360 !== 0) return;
+		const corner = t.corner || '';
+		const threshold = SNAP_DISTANCE / fabricCanvas.getZoom();
+		const exclude = getSnapExclusions(obj);
+		const r = obj.getBoundingRect(true, true);
+		const movingX = corner.includes('r') ? r.left + r.width : corner.includes('l') ? r.left : null;
+		const movingY = corner.includes('b') ? r.top + r.height : corner.includes('t') ? r.top : null;
+		const snapX = movingX === null ? null : findSnap([movingX], getSnapTargets('x', exclude), threshold);
+		const snapY = movingY === null ? null : findSnap([movingY], getSnapTargets('y', exclude), threshold);
+		if (!snapX && !snapY) return;
+		const anchor = obj.translateToOriginPoint(obj.getCenterPoint(), t.originX, t.originY);
+		let factorX = snapX ? (r.width + (corner.includes('r') ? snapX.delta : -snapX.delta)) / r.width : 1;
+		let factorY = snapY ? (r.height + (corner.includes('b') ? snapY.delta : -snapY.delta)) / r.height : 1;
+		// Corner drags that keep proportions snap by one axis and scale the other along
+		const uniform = corner.length === 2 && (obj.lockUniScaling || Math.abs(obj.scaleX / obj.scaleY - t.original.scaleX / t.original.scaleY) < 1e-6);
+		if (uniform) {
+			const useX = snapX && (!snapY || Math.abs(snapX.delta) <= Math.abs(snapY.delta));
+			factorX = factorY = useX ? factorX : factorY;
 		}
-		if (snapped) fabricCanvas.requestRenderAll();
+		if (!(factorX > 0 && factorY > 0)) return;
+		obj.set({ scaleX: obj.scaleX * factorX, scaleY: obj.scaleY * factorY });
+		obj.setPositionByOrigin(anchor, t.originX, t.originY);
+		obj.setCoords();
+		if (snapX && (!uniform || factorX === factorY)) snapGuides.push({ axis: 'x', pos: snapX.pos, kind: snapX.kind });
+		if (snapY && (!uniform || factorX === factorY)) snapGuides.push({ axis: 'y', pos: snapY.pos, kind: snapY.kind });
+	}
+
+	// Free rotation by default; Shift steps in 15° increments unless Alt is held
+	function handleSnapRotation(opt) {
+		const obj = opt.target;
+		snapGuides = [];
+		if (!obj || !opt.e || !opt.e.shiftKey || isSnapBypassed(opt.e)) return;
+		obj.rotate(Math.round(obj.angle / ROTATION_STEP) * ROTATION_STEP);
+		obj.setCoords();
+	}
+
+	function clearSnapGuides() {
+		if (!snapGuides.length) return;
+		snapGuides = [];
+		fabricCanvas.requestRenderAll();
+	}
+
+	function drawSnapGuides(ctx) {
+		if (!snapGuides.length) return;
+		const w = fabricCanvas.getWidth();
+		const h = fabricCanvas.getHeight();
+		const vpt = fabricCanvas.viewportTransform;
+		ctx.save();
+		ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+		ctx.lineWidth = 1 / fabricCanvas.getZoom();
+		snapGuides.forEach((g) => {
+			ctx.strokeStyle = g.kind === 'layer' ? '#ff4fd8' : g.kind === 'margin' ? '#facc15' : '#87CEEB';
+			ctx.setLineDash(g.kind === 'margin' ? [4 / fabricCanvas.getZoom(), 4 / fabricCanvas.getZoom()] : []);
+			ctx.beginPath();
+			if (g.axis === 'x') {
+				ctx.moveTo(g.pos, 0);
+				ctx.lineTo(g.pos, h);
+			} else {
+				ctx.moveTo(0, g.pos);
+				ctx.lineTo(w, g.pos);
+			}
+			ctx.stroke();
+		});
+		ctx.restore();
 	}
 
-	function setCanvasSizeToPhotoPreview() {
-		if (!originalImage) return;
+	// Editing canvas size for a document of doc.width×doc.height
+	function getPreviewSize(doc) {
 		const maxPreviewEdge = 800; // higher-quality preview; CSS contains container
-		const aspect = originalImageNaturalWidth / originalImageNaturalHeight;
-		let w, h;
+		const aspect = doc.width / doc.height;
 		if (aspect >= 1) {
-			w = Math.min(maxPreviewEdge, originalImageNaturalWidth);
-			h = Math.round(w / aspect);
-		} else {
-			h = Math.min(maxPreviewEdge, originalImageNaturalHeight);
-			w = Math.round(h * aspect);
+			const w = Math.min(maxPreviewEdge, doc.width);
+			return { w, h: Math.round(w / aspect) };
 		}
+		const h = Math.min(maxPreviewEdge, doc.height);
+		return { w: Math.round(h * aspect), h };
+	}
+
+	function setCanvasSizeToDocument() {
+		if (!hasDocument()) return;
+		const { w, h } = getPreviewSize(getDocumentSize());
+		if (w === fabricCanvas.getWidth() && h === fabricCanvas.getHeight()) return;
 		fabricCanvas.setWidth(w);
 		fabricCanvas.setHeight(h);
 		fitToView();
@@ -228,6 +565,615 @@
 		fabricCanvas.requestRenderAll();
 	}
 
+	// Renders the scene without the current zoom/pan so offscreen copies match the export framing
+	function renderSceneToCanvas({ multiplier = 1, cropping } = {}) {
+		const vpt = fabricCanvas.viewportTransform.slice();
+		fabricCanvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+		try {
+			return fabricCanvas.toCanvasElement(multiplier, cropping);
+		} finally {
+			fabricCanvas.viewportTransform = vpt;
+		}
+	}
+
+	/** Touch Gestures **/
+	const LONG_PRESS_MS = 500;
+	const LONG_PRESS_SLOP = 10; // px a finger may drift before a press stops counting as long
+	const COARSE_CORNER_SIZE = 22;
+	const CONTEXT_ACTIONS = [
+		{ id: 'duplicate', label: 'Duplicate', run: () => duplicateSelection() },
+		{ id: 'delete', label: 'Delete', run: () => deleteSelected() },
+		{ id: 'flipH', label: 'Flip horizontal', run: () => flipHorizontal() },
+		{ id: 'flipV', label: 'Flip vertical', run: () => flipVertical() },
+		{ id: 'forward', label: 'Bring forward', run: () => bringForward() },
+		{ id: 'backward', label: 'Send backward', run: () => sendBackward() },
+		{ id: 'front', label: 'Bring to front', run: () => bringToFront() },
+		{ id: 'back', label: 'Send to back', run: () => sendToBack() }
+	];
+	let pinch = null; // active two-finger gesture
+	let longPress = null;
+	let contextMenu = null;
+
+	function touchPoint(touch) {
+		const rect = fabricCanvas.upperCanvasEl.getBoundingClientRect();
+		// The element may be CSS-scaled on small screens
+		const scale = rect.width ? fabricCanvas.getWidth() / rect.width : 1;
+		return new fabric.Point((touch.clientX - rect.left) * scale, (touch.clientY - rect.top) * scale);
+	}
+
+	function touchMetrics(touches) {
+		const a = touchPoint(touches[0]);
+		const b = touchPoint(touches[1]);
+		return {
+			mid: a.midPointFrom(b),
+			distance: Math.max(1, a.distanceFrom(b)),
+			angle: fabric.util.radiansToDegrees(Math.atan2(b.y - a.y, b.x - a.x))
+		};
+	}
+
+	// Fabric only tracks one touch; once a second finger lands, drop whatever drag or stroke the first one started
+	function cancelFabricTransform() {
+		if (fabricCanvas._isCurrentlyDrawing) {
+			fabricCanvas._isCurrentlyDrawing = false;
+			fabricCanvas.clearContext(fabricCanvas.contextTop);
+		}
+		const t = fabricCanvas._currentTransform;
+		if (t && t.target && t.original) {
+			t.target.set({ left: t.original.left, top: t.original.top, scaleX: t.original.scaleX, scaleY: t.original.scaleY, angle: t.original.angle });
+			t.target.setCoords();
+		}
+		fabricCanvas._currentTransform = null;
+		fabricCanvas._groupSelector = null;
+		clearSnapGuides();
+	}
+
+	// Two fingers on the selected layer rotate and scale it; anywhere else they zoom and pan the view
+	function startPinch(touches) {
+		const m = touchMetrics(touches);
+		const obj = getActiveObject();
+		const inverse = fabric.util.invertTransform(fabricCanvas.viewportTransform);
+		const onObject = obj && !obj.isEditing && obj.containsPoint(fabric.util.transformPoint(m.mid, inverse));
+		pinch = { start: m, vpt: fabricCanvas.viewportTransform.slice() };
+		if (onObject && !(obj.data && obj.data.locked)) {
+			pinch.target = obj;
+			pinch.scaleX = obj.scaleX;
+			pinch.scaleY = obj.scaleY;
+			pinch.angle = obj.angle || 0;
+			pinch.center = obj.getCenterPoint();
+		}
+	}
+
+	function updatePinch(touches) {
+		const m = touchMetrics(touches);
+		const ratio = m.distance / pinch.start.distance;
+		if (pinch.target) {
+			const obj = pinch.target;
+			const zoom = fabricCanvas.getZoom();
+			const center = pinch.center.add(m.mid.subtract(pinch.start.mid).divide(zoom));
+			if (!obj.lockScalingX) obj.set('scaleX', pinch.scaleX * ratio);
+			if (!obj.lockScalingY) obj.set('scaleY', pinch.scaleY * ratio);
+			if (!obj.lockRotation) obj.set('angle', (pinch.angle + m.angle - pinch.start.angle + 360) % 360);
+			if (!obj.lockMovementX && !obj.lockMovementY) obj.setPositionByOrigin(center, 'center', 'center');
+			obj.setCoords();
+			pinch.changed = true;
+			fabricCanvas.requestRenderAll();
+			scheduleInspectorSync();
+			return;
+		}
+		// Keep the canvas point that started under the fingers' midpoint under it
+		const zoom = clamp(pinch.vpt[0] * ratio, minZoom, maxZoom);
+		const anchor = fabric.util.transformPoint(pinch.start.mid, fabric.util.invertTransform(pinch.vpt));
+		fabricCanvas.setViewportTransform([zoom, 0, 0, zoom, m.mid.x - anchor.x * zoom, m.mid.y - anchor.y * zoom]);
+		currentZoom = zoom;
+	}
+
+	function endPinch() {
+		if (pinch && pinch.target && pinch.changed) {
+			fabricCanvas.fire('object:modified', { target: pinch.target, action: 'pinch' });
+		}
+		pinch = null;
+	}
+
+	function cancelLongPress() {
+		if (longPress) clearTimeout(longPress.timer);
+		longPress = null;
+	}
+
+	function startLongPress(e) {
+		cancelLongPress();
+		if (fabricCanvas.isDrawingMode) return;
+		const touch = e.touches[0];
+		const origin = { x: touch.clientX, y: touch.clientY };
+		longPress = {
+			origin,
+			timer: setTimeout(() => {
+				longPress = null;
+				const target = fabricCanvas.findTarget(e, false);
+				if (!target) return;
+				cancelFabricTransform();
+				if (!fabricCanvas.getActiveObjects().includes(target)) fabricCanvas.setActiveObject(target);
+				fabricCanvas.requestRenderAll();
+				if (navigator.vibrate) navigator.vibrate(15);
+				openContextMenu(origin.x, origin.y);
+			}, LONG_PRESS_MS)
+		};
+	}
+
+	function closeContextMenu() {
+		if (!contextMenu) return;
+		contextMenu.remove();
+		contextMenu = null;
+	}
+
+	function openContextMenu(x, y) {
+		closeContextMenu();
+		const menu = document.createElement('div');
+		menu.className = 'canvas-context-menu';
+		menu.setAttribute('role', 'menu');
+		CONTEXT_ACTIONS.forEach((action) => {
+			const item = document.createElement('button');
+			item.type = 'button';
+			item.setAttribute('role', 'menuitem');
+			item.textContent = action.label;
+			item.onclick = () => {
+				closeContextMenu();
+				action.run();
+			};
+			menu.appendChild(item);
+		});
+		document.body.appendChild(menu);
+		// Keep the menu on screen near the finger
+		const rect = menu.getBoundingClientRect();
+		menu.style.left = `${clamp(x, 8, window.innerWidth - rect.width - 8)}px`;
+		menu.style.top = `${clamp(y, 8, window.innerHeight - rect.height - 8)}px`;
+		contextMenu = menu;
+	}
+
+	function onCanvasTouchStart(e) {
+		closeContextMenu();
+		if (e.touches.length >= 2) {
+			cancelLongPress();
+			if (!pinch) {
+				cancelFabricTransform();
+				startPinch(e.touches);
+			}
+			e.preventDefault();
+			e.stopPropagation();
+			return;
+		}
+		startLongPress(e);
+	}
+
+	function onCanvasTouchMove(e) {
+		if (longPress) {
+			const touch = e.touches[0];
+			if (Math.hypot(touch.clientX - longPress.origin.x, touch.clientY - longPress.origin.y) > LONG_PRESS_SLOP) cancelLongPress();
+		}
+		if (!pinch) return;
+		if (e.touches.length >= 2) updatePinch(e.touches);
+		e.preventDefault();
+		e.stopPropagation();
+	}
+
+	function onCanvasTouchEnd(e) {
+		cancelLongPress();
+		if (!pinch) return;
+		// Lifting one of two fingers ends the gesture; the last finger lifting lets Fabric finish its bookkeeping
+		if (e.touches.length < 2) endPinch();
+		if (e.touches.length > 0) e.stopPropagation();
+	}
+
+	// Larger handles when the primary pointer is a finger
+	function applyPointerControlSize(coarse) {
+		fabric.Object.prototype.cornerSize = coarse ? COARSE_CORNER_SIZE : 10;
+		fabric.Object.prototype.touchCornerSize = coarse ? COARSE_CORNER_SIZE * 1.5 : 24;
+		fabric.Object.prototype.padding = coarse ? 8 : 5;
+		if (!fabricCanvas) return;
+		fabricCanvas.getObjects().forEach((o) => o.setCoords());
+		fabricCanvas.requestRenderAll();
+	}
+
+	function wireTouchGestures() {
+		const wrapper = fabricCanvas.wrapperEl;
+		// Capture phase so a two-finger gesture is handled before Fabric sees it as a drag
+		const opts = { capture: true, passive: false };
+		wrapper.addEventListener('touchstart', onCanvasTouchStart, opts);
+		wrapper.addEventListener('touchmove', onCanvasTouchMove, opts);
+		wrapper.addEventListener('touchend', onCanvasTouchEnd, opts);
+		wrapper.addEventListener('touchcancel', onCanvasTouchEnd, opts);
+		const coarse = window.matchMedia('(pointer: coarse)');
+		applyPointerControlSize(coarse.matches);
+		coarse.addEventListener?.('change', (e) => applyPointerControlSize(e.matches));
+		document.addEventListener('pointerdown', (e) => {
+			if (contextMenu && !contextMenu.contains(e.target)) closeContextMenu();
+		});
+		document.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') closeContextMenu();
+		});
+		window.addEventListener('scroll', closeContextMenu, { passive: true });
+	}
+
+	/** Sticker Sheet (bottom sheet layout of the library on phones) **/
+	const stickerSheetQuery = window.matchMedia('(max-width: 640px)');
+
+	function setStickerSheetOpen(open) {
+		if (!stickerLibrary) return;
+		stickerLibrary.classList.toggle('is-open', open);
+		stickerSheetHandle?.setAttribute('aria-expanded', String(open));
+	}
+
+	// After picking a sticker on a phone, get the sheet out of the way of the canvas
+	function collapseStickerSheet() {
+		if (stickerSheetQuery.matches) setStickerSheetOpen(false);
+	}
+
+	function wireStickerSheet() {
+		stickerSheetHandle?.addEventListener('click', () => {
+			setStickerSheetOpen(!stickerLibrary.classList.contains('is-open'));
+		});
+		stickerSearch?.addEventListener('focus', () => {
+			if (stickerSheetQuery.matches) setStickerSheetOpen(true);
+		});
+		stickerSheetQuery.addEventListener?.('change', (e) => {
+			if (!e.matches) setStickerSheetOpen(false);
+		});
+	}
+
+	/** Avatar Masks **/
+	const AVATAR_PREVIEW_SIZES = [400, 128, 48];
+	let avatarPreviewTimer = null;
+	let avatarPreviewLast = 0;
+
+	// Adds the mask outline for a square of the given size at (x, y) to the current path
+	function traceMaskPath(ctx, shape, x, y, size) {
+		const cx = x + size / 2;
+		const cy = y + size / 2;
+		if (shape === 'circle') {
+			ctx.moveTo(cx + size / 2, cy);
+			ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+		} else if (shape === 'rounded') {
+			const r = size * 0.2;
+			ctx.moveTo(x + r, y);
+			ctx.arcTo(x + size, y, x + size, y + size, r);
+			ctx.arcTo(x + size, y + size, x, y + size, r);
+			ctx.arcTo(x, y + size, x, y, r);
+			ctx.arcTo(x, y, x + size, y, r);
+			ctx.closePath();
+		} else if (shape === 'hexagon') {
+			// Pointy-top hexagon touching the top and bottom edges
+			for (let i = 0; i < 6; i++) {
+				const a = (Math.PI / 3) * i - Math.PI / 2;
+				const px = cx + (size / 2) * Math.cos(a);
+				const py = cy + (size / 2) * Math.sin(a);
+				if (i === 0) ctx.moveTo(px, py);
+				else ctx.lineTo(px, py);
+			}
+			ctx.closePath();
+		} else {
+			ctx.rect(x, y, size, size);
+		}
+	}
+
+	// Centered square that survives the "Center-crop to square" export
+	function getAvatarSafeSquare(w = fabricCanvas.getWidth(), h = fabricCanvas.getHeight()) {
+		const size = Math.min(w, h);
+		return { x: (w - size) / 2, y: (h - size) / 2, size };
+	}
+
+	function drawAvatarMaskOverlay(ctx) {
+		const shape = exportSettings.maskShape;
+		if (!shape || shape === 'none' || (!hasDocument() && !fabricCanvas.getObjects().length)) return;
+		const w = fabricCanvas.getWidth();
+		const h = fabricCanvas.getHeight();
+		const { x, y, size } = getAvatarSafeSquare(w, h);
+		const vpt = fabricCanvas.viewportTransform;
+		ctx.save();
+		ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+		// Dim everything outside the mask, then outline the safe area
+		ctx.beginPath();
+		ctx.rect(0, 0, w, h);
+		traceMaskPath(ctx, shape, x, y, size);
+		ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+		ctx.fill('evenodd');
+		ctx.beginPath();
+		traceMaskPath(ctx, shape, x, y, size);
+		ctx.lineWidth = 2 / vpt[0];
+		ctx.setLineDash([8 / vpt[0], 6 / vpt[0]]);
+		ctx.strokeStyle = 'rgba(135, 206, 235, 0.9)';
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	// Returns a copy of a square canvas with everything outside the mask made transparent
+	function applyAvatarMask(source, shape) {
+		const out = document.createElement('canvas');
+		out.width = source.width;
+		out.height = source.height;
+		const ctx = out.getContext('2d');
+		ctx.drawImage(source, 0, 0);
+		ctx.globalCompositeOperation = 'destination-in';
+		ctx.beginPath();
+		traceMaskPath(ctx, shape, 0, 0, Math.min(out.width, out.height));
+		ctx.fill();
+		return out;
+	}
+
+	function setAvatarMask(shape) {
+		exportSettings.maskShape = shape;
+		if (shape === 'none') exportSettings.applyMask = false;
+		fabricCanvas.requestRenderAll();
+	}
+
+	// Throttled so dragging a sticker keeps the previews live without re-rendering every frame
+	function scheduleAvatarPreview() {
+		if (!avatarPreview || avatarPreviewTimer) return;
+		const wait = Math.max(0, 120 - (performance.now() - avatarPreviewLast));
+		avatarPreviewTimer = setTimeout(() => {
+			avatarPreviewTimer = null;
+			avatarPreviewLast = performance.now();
+			renderAvatarPreview();
+		}, wait);
+	}
+
+	function renderAvatarPreview() {
+		const canvases = avatarPreview.querySelectorAll('canvas[data-size]');
+		const hasContent = hasDocument() || fabricCanvas.getObjects().length > 0;
+		avatarPreview.hidden = !hasContent;
+		if (!hasContent) return;
+		const { x, y, size } = getAvatarSafeSquare();
+		const scene = renderSceneToCanvas({
+			multiplier: AVATAR_PREVIEW_SIZES[0] / size,
+			cropping: { left: x, top: y, width: size, height: size }
+		});
+		const shape = exportSettings.maskShape === 'none' ? 'circle' : exportSettings.maskShape;
+		const masked = applyAvatarMask(scene, shape);
+		canvases.forEach((c) => {
+			const px = parseInt(c.dataset.size, 10);
+			c.width = px;
+			c.height = px;
+			const ctx = c.getContext('2d');
+			ctx.imageSmoothingQuality = 'high';
+			ctx.clearRect(0, 0, px, px);
+			ctx.drawImage(masked, 0, 0, px, px);
+		});
+	}
+
+	/** Photo Metadata (EXIF) **/
+	const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+	const EXIF_ORIENTATION = 0x0112;
+	const EXIF_IFD_POINTER = 0x8769;
+	const EXIF_GPS_POINTER = 0x8825;
+	const EXIF_INTEROP_POINTER = 0xA005;
+	// Tags that describe the source file's pixels or point at data that is not carried over
+	const EXIF_STALE_TAGS = new Set([0x0100, 0x0101, 0x0111, 0x0117, 0x0201, 0x0202, 0xA002, 0xA003, 0x927C, EXIF_INTEROP_POINTER]);
+	// Owner and serial-number tags only survive "keep everything"
+	const EXIF_PERSONAL_TAGS = new Set([0x013B, 0xA420, 0xA430, 0xA431, 0xA435]);
+	const EXPORT_METADATA_OPTIONS = [
+		{ value: 'strip', label: 'Strip all' },
+		{ value: 'camera', label: 'Camera info, no location' },
+		{ value: 'all', label: 'Keep all (incl. GPS)' }
+	];
+
+	// Walks the JPEG header segments for the EXIF block and the coded frame size; null when not a JPEG
+	function readJpegExif(buffer) {
+		const bytes = new Uint8Array(buffer);
+		if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+		const view = new DataView(buffer);
+		const info = { tiff: null, frameWidth: 0, frameHeight: 0 };
+		let pos = 2;
+		while (pos + 4 <= bytes.length && bytes[pos] === 0xFF) {
+			const marker = bytes[pos + 1];
+			if (marker === 0xFF) {
+				pos++;
+				continue;
+			}
+			// Start of scan: entropy-coded data follows, no more headers
+			if (marker === 0xDA || marker === 0xD9) break;
+			const length = view.getUint16(pos + 2);
+			const start = pos + 4;
+			if (pos + 2 + length > bytes.length) break;
+			if (marker === 0xE1 && !info.tiff && length > 8 && String.fromCharCode(...bytes.subarray(start, start + 6)) === 'Exif\0\0') {
+				info.tiff = bytes.subarray(start + 6, pos + 2 + length);
+			} else if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+				info.frameHeight = view.getUint16(start + 1);
+				info.frameWidth = view.getUint16(start + 3);
+			}
+			pos += 2 + length;
+		}
+		return info;
+	}
+
+	function readTiffIfd(tiff, view, offset, le) {
+		const entries = [];
+		if (!offset || offset + 2 > tiff.length) return entries;
+		const entryCount = view.getUint16(offset, le);
+		for (let i = 0; i < entryCount; i++) {
+			const p = offset + 2 + i * 12;
+			if (p + 12 > tiff.length) break;
+			const type = view.getUint16(p + 2, le);
+			const count = view.getUint32(p + 4, le);
+			const size = (EXIF_TYPE_SIZES[type] || 0) * count;
+			if (!size) continue;
+			const at = size <= 4 ? p + 8 : view.getUint32(p + 8, le);
+			if (at + size > tiff.length) continue;
+			// Values keep the source byte order; the rebuilt block is written in the same order
+			entries.push({ tag: view.getUint16(p, le), type, count, value: tiff.slice(at, at + size) });
+		}
+		return entries;
+	}
+
+	function readExifNumber(entry, le) {
+		const view = new DataView(entry.value.buffer);
+		return entry.type === 3 ? view.getUint16(0, le) : view.getUint32(0, le);
+	}
+
+	// TIFF block → { le, ifd0, exif, gps } entry lists
+	function parseExif(tiff) {
+		const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+		const le = view.getUint16(0) === 0x4949;
+		if (view.getUint16(2, le) !== 42) throw new Error('Bad EXIF header');
+		const ifd0 = readTiffIfd(tiff, view, view.getUint32(4, le), le);
+		const pointer = (tag) => {
+			const entry = ifd0.find((e) => e.tag === tag);
+			return entry ? readExifNumber(entry, le) : 0;
+		};
+		return {
+			le,
+			ifd0,
+			exif: readTiffIfd(tiff, view, pointer(EXIF_IFD_POINTER), le),
+			gps: readTiffIfd(tiff, view, pointer(EXIF_GPS_POINTER), le)
+		};
+	}
+
+	function getExifOrientation(exif) {
+		const entry = exif && exif.ifd0.find((e) => e.tag === EXIF_ORIENTATION);
+		const value = entry ? readExifNumber(entry, exif.le) : 1;
+		return value >= 1 && value <= 8 ? value : 1;
+	}
+
+	// EXIF of the loaded photo (JPEG only), or null
+	async function readPhotoExif(blob) {
+		if (!blob) return null;
+		try {
+			// The EXIF segment is capped at 64 KB and sits near the start; a large ICC profile can push the frame header further
+			const info = readJpegExif(await blob.slice(0, 512 * 1024).arrayBuffer());
+			if (!info) return null;
+			return { ...info, exif: info.tiff ? parseExif(info.tiff) : null };
+		} catch (e) {
+			console.warn('Could not read photo metadata:', e);
+			return null;
+		}
+	}
+
+	// Serializes IFD0 plus sub-IFDs ([{ tag: pointer tag, entries }]) into a TIFF block
+	function writeExif(le, ifd0, subIfds) {
+		const byTag = (a, b) => a.tag - b.tag;
+		const root = [...ifd0, ...subIfds.map(({ tag }) => ({ tag, type: 4, count: 1, value: new Uint8Array(4) }))].sort(byTag);
+		const tables = [root, ...subIfds.map(({ entries }) => entries.slice().sort(byTag))];
+		const padded = (n) => n + (n & 1);
+		const offsets = [];
+		let total = 8;
+		tables.forEach((entries) => {
+			offsets.push(total);
+			total += 6 + entries.length * 12 + entries.reduce((sum, e) => sum + (e.value.length > 4 ? padded(e.value.length) : 0), 0);
+		});
+		subIfds.forEach(({ tag }, i) => {
+			new DataView(root.find((e) => e.tag === tag).value.buffer).setUint32(0, offsets[i + 1], le);
+		});
+		const out = new Uint8Array(total);
+		const view = new DataView(out.buffer);
+		view.setUint16(0, le ? 0x4949 : 0x4D4D);
+		view.setUint16(2, 42, le);
+		view.setUint32(4, 8, le);
+		tables.forEach((entries, t) => {
+			const base = offsets[t];
+			let data = base + 6 + entries.length * 12;
+			view.setUint16(base, entries.length, le);
+			entries.forEach((e, i) => {
+				const p = base + 2 + i * 12;
+				view.setUint16(p, e.tag, le);
+				view.setUint16(p + 2, e.type, le);
+				view.setUint32(p + 4, e.count, le);
+				if (e.value.length <= 4) {
+					out.set(e.value, p + 8);
+				} else {
+					view.setUint32(p + 8, data, le);
+					out.set(e.value, data);
+					data += padded(e.value.length);
+				}
+			});
+			// Next-IFD offset stays 0: the thumbnail IFD is not carried over
+		});
+		return out;
+	}
+
+	// EXIF for an exported image, or null when stripping: pixels are already upright, so orientation resets to 1
+	function buildExportExif(source, mode) {
+		if (!source || mode === 'strip') return null;
+		const keep = (e) => !EXIF_STALE_TAGS.has(e.tag) && (mode === 'all' || !EXIF_PERSONAL_TAGS.has(e.tag));
+		const pointers = [EXIF_IFD_POINTER, EXIF_GPS_POINTER, EXIF_ORIENTATION];
+		const ifd0 = source.ifd0.filter((e) => keep(e) && !pointers.includes(e.tag));
+		const orientation = new Uint8Array(2);
+		new DataView(orientation.buffer).setUint16(0, 1, source.le);
+		ifd0.push({ tag: EXIF_ORIENTATION, type: 3, count: 1, value: orientation });
+		const subIfds = [];
+		const exif = source.exif.filter(keep);
+		if (exif.length) subIfds.push({ tag: EXIF_IFD_POINTER, entries: exif });
+		if (mode === 'all' && source.gps.length) subIfds.push({ tag: EXIF_GPS_POINTER, entries: source.gps });
+		return writeExif(source.le, ifd0, subIfds);
+	}
+
+	// Inserts a TIFF block into an encoded JPEG (APP1), PNG (eXIf) or WebP (EXIF chunk)
+	async function embedExif(blob, ext, tiff, width, height) {
+		const bytes = new Uint8Array(await blob.arrayBuffer());
+		if (ext === 'jpg') {
+			if (tiff.length + 8 > 0xFFFF) return blob;
+			const app1 = new Uint8Array(10 + tiff.length);
+			const view = new DataView(app1.buffer);
+			view.setUint16(0, 0xFFE1);
+			view.setUint16(2, 8 + tiff.length);
+			app1.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+			app1.set(tiff, 10);
+			return new Blob([bytes.subarray(0, 2), app1, bytes.subarray(2)], { type: blob.type });
+		}
+		if (ext === 'png') {
+			// Right after IHDR (8-byte signature + 25-byte chunk), ahead of the image data
+			const chunk = new Uint8Array(12 + tiff.length);
+			const view = new DataView(chunk.buffer);
+			view.setUint32(0, tiff.length);
+			chunk.set([0x65, 0x58, 0x49, 0x66], 4); // "eXIf"
+			chunk.set(tiff, 8);
+			view.setUint32(8 + tiff.length, crc32(chunk.subarray(4, 8 + tiff.length)));
+			return new Blob([bytes.subarray(0, 33), chunk, bytes.subarray(33)], { type: blob.type });
+		}
+		if (ext === 'webp') {
+			// Metadata needs the extended format: VP8X header, image chunks, then EXIF
+			const image = extractWebpImageChunks(bytes);
+			const vp8x = new Uint8Array(10);
+			vp8x[0] = 0x10 | 0x08; // alpha + EXIF
+			setUint24(vp8x, 4, width - 1);
+			setUint24(vp8x, 7, height - 1);
+			const body = [webpChunk('VP8X', vp8x), ...image, webpChunk('EXIF', tiff)];
+			const riff = new Uint8Array(12);
+			riff.set([82, 73, 70, 70]); // RIFF
+			new DataView(riff.buffer).setUint32(4, 4 + body.reduce((n, c) => n + c.length, 0), true);
+			riff.set([87, 69, 66, 80], 8); // WEBP
+			return new Blob([riff, ...body], { type: blob.type });
+		}
+		return blob;
+	}
+
+	// Redraws an image that the browser decoded without applying its EXIF orientation
+	function orientImage(img, orientation) {
+		const w = img.naturalWidth || img.width;
+		const h = img.naturalHeight || img.height;
+		const canvas = document.createElement('canvas');
+		const swap = orientation >= 5;
+		canvas.width = swap ? h : w;
+		canvas.height = swap ? w : h;
+		const ctx = canvas.getContext('2d');
+		const transforms = {
+			2: [-1, 0, 0, 1, w, 0],
+			3: [-1, 0, 0, -1, w, h],
+			4: [1, 0, 0, -1, 0, h],
+			5: [0, 1, 1, 0, 0, 0],
+			6: [0, 1, -1, 0, h, 0],
+			7: [0, -1, -1, 0, h, w],
+			8: [0, -1, 1, 0, 0, w]
+		};
+		ctx.transform(...transforms[orientation]);
+		ctx.drawImage(img, 0, 0);
+		return canvas;
+	}
+
+	function isOrientationApplied(img, orientation, frame) {
+		// Quarter turns swap the axes, which the decoded size gives away directly
+		if (orientation >= 5 && frame.frameWidth && frame.frameWidth !== frame.frameHeight) {
+			return img.naturalWidth === frame.frameHeight;
+		}
+		return !!(window.CSS && CSS.supports && CSS.supports('image-orientation', 'from-image'));
+	}
+
 	/** Loaders **/
 	async function decodeImageFromFile(file) {
 		return new Promise((resolve, reject) => {
@@ -244,71 +1190,723 @@
 		});
 	}
 
+	// Decodes a photo upright; browsers that ignore EXIF orientation get it applied on a canvas
+	async function decodePhoto(blob) {
+		const { img, url } = await decodeImageFromFile(blob);
+		URL.revokeObjectURL(url);
+		const info = await readPhotoExif(blob);
+		const orientation = getExifOrientation(info && info.exif);
+		if (orientation > 1 && !isOrientationApplied(img, orientation, info)) {
+			const canvas = orientImage(img, orientation);
+			return { image: canvas, width: canvas.width, height: canvas.height };
+		}
+		return { image: img, width: img.naturalWidth, height: img.naturalHeight };
+	}
+
+	// Long edge kept for editing and export; larger camera shots (e.g. 48 MP) are downscaled on import
+	const PHOTO_MAX_EDGE = 4096;
+	const PHOTO_MAX_BYTES = 60 * 1024 * 1024;
+	const PHOTO_KIND_LABELS = { jpeg: 'JPEG', png: 'PNG', gif: 'GIF', webp: 'WebP', bmp: 'BMP', svg: 'SVG', heic: 'HEIC', avif: 'AVIF' };
+	const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+	// Identifies the format from the file's leading bytes; phones often send HEIC with an empty or generic MIME type
+	async function sniffPhotoKind(file) {
+		const bytes = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+		const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+		if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+		if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') return 'png';
+		if (ascii(0, 4) === 'GIF8') return 'gif';
+		if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'webp';
+		if (ascii(0, 2) === 'BM') return 'bmp';
+		if (ascii(4, 4) === 'ftyp') {
+			// ISO media container: the major brand plus the compatible brands that follow it
+			const boxSize = Math.min(new DataView(bytes.buffer).getUint32(0), bytes.length);
+			const brands = [ascii(8, 4)];
+			for (let o = 16; o + 4 <= boxSize; o += 4) brands.push(ascii(o, 4));
+			if (brands.includes('avif') || brands.includes('avis')) return 'avif';
+			if (brands.some((b) => HEIC_BRANDS.includes(b))) return 'heic';
+		}
+		if (file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '')) return 'svg';
+		return null;
+	}
+
+	async function validatePhotoFile(file) {
+		if (!file || !file.size) throw new Error('That file is empty');
+		if (file.size > PHOTO_MAX_BYTES) {
+			throw new Error(`Photo is ${(file.size / 1048576).toFixed(0)} MB; the limit is ${PHOTO_MAX_BYTES / 1048576} MB`);
+		}
+		const kind = await sniffPhotoKind(file);
+		if (!kind) {
+			throw new Error(file.type && !file.type.startsWith('image/')
+				? `${file.name || 'That file'} is not an image`
+				: 'Unrecognized image format. Use JPEG, PNG, WebP, GIF, HEIC or AVIF');
+		}
+		return kind;
+	}
+
+	// Main-thread fallback for the size cap when the worker could not do it
+	function capPhotoSize(photo, maxEdge = PHOTO_MAX_EDGE) {
+		const ratio = maxEdge / Math.max(photo.width, photo.height);
+		if (ratio >= 1) return photo;
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.round(photo.width * ratio);
+		canvas.height = Math.round(photo.height * ratio);
+		const ctx = canvas.getContext('2d');
+		ctx.imageSmoothingQuality = 'high';
+		ctx.drawImage(photo.image, 0, 0, canvas.width, canvas.height);
+		return { image: canvas, width: canvas.width, height: canvas.height };
+	}
+
+	// Upload pipeline: validate, decode and downscale in the image worker (HEIC/AVIF through the bundled decoders
+	// where the browser has none), apply EXIF orientation. blob is what projects keep: the uploaded bytes, or the
+	// worker's decoded copy when the browser cannot read the upload itself. Dropped stickers pass a smaller maxEdge.
+	async function importPhoto(file, maxEdge = PHOTO_MAX_EDGE) {
+		const kind = await validatePhotoFile(file);
+		let blob = file;
+		let working = null;
+		try {
+			const result = await downscaleInWorker(file, kind, maxEdge);
+			working = result.blob;
+			if (result.converted) blob = result.blob;
+		} catch (e) {
+			// No worker, or it could not decode the file: try the page's own decoder below
+			if (getImageWorker()) console.warn('Image worker could not decode the photo:', e);
+		}
+		let photo;
+		try {
+			photo = await decodePhoto(working || file);
+		} catch (e) {
+			console.error(e);
+			throw new Error(kind === 'heic' || kind === 'avif'
+				? `This ${PHOTO_KIND_LABELS[kind]} photo could not be decoded. It may be damaged, or this browser cannot run the decoder`
+				: `This ${PHOTO_KIND_LABELS[kind]} file could not be decoded; it may be damaged`);
+		}
+		return { ...capPhotoSize(photo, maxEdge), blob, kind };
+	}
+
 	async function setBackgroundFromFile(file) {
 		try {
-			const { img, url } = await decodeImageFromFile(file);
-			originalImage = img;
-			originalImageNaturalWidth = img.naturalWidth;
-			originalImageNaturalHeight = img.naturalHeight;
-			setCanvasSizeToPhotoPreview();
-			await setFabricBackground(img);
-			URL.revokeObjectURL(url);
+			const { image, width, height, blob } = await importPhoto(file);
+			originalImage = image;
+			originalImageBlob = blob;
+			originalImageNaturalWidth = width;
+			originalImageNaturalHeight = height;
+			photoEdits = defaultPhotoEdits();
+			syncPhotoToolbar();
+			await refreshBackground({ recordHistory: true });
+			fitToView();
 			showNotification('Photo loaded', 'success');
+			detectFaces();
 			// Hide canvas instructions
 			const instructions = document.getElementById('canvasInstructions');
 			if (instructions) instructions.classList.add('hidden');
+			autoApplyPreset();
 		} catch (err) {
 			console.error(err);
-			showNotification('Unsupported image format. HEIC may not be supported by your browser.', 'error');
+			showNotification(err.message || 'Could not open this photo', 'error');
 		}
 	}
 
-	async function setFabricBackground(img) {
+	async function setFabricBackground(img, { recordHistory = true } = {}) {
 		return new Promise((resolve) => {
 			const fabricImg = new fabric.Image(img, {
 				selectable: false,
 				evented: false,
-				objectCaching: false
+				objectCaching: false,
+				// Snapshots would otherwise serialize the whole photo; it is rebuilt from photoEdits instead
+				excludeFromExport: true
 			});
 			// Scale background to fit canvas (contain) without deformation
+			const imgW = img.naturalWidth || img.width;
+			const imgH = img.naturalHeight || img.height;
 			const canvasW = fabricCanvas.getWidth();
 			const canvasH = fabricCanvas.getHeight();
-			const scale = Math.min(canvasW / img.naturalWidth, canvasH / img.naturalHeight);
+			const scale = Math.min(canvasW / imgW, canvasH / imgH);
 			fabricImg.scale(scale);
-			fabricImg.set({ left: (canvasW - img.naturalWidth * scale) / 2, top: (canvasH - img.naturalHeight * scale) / 2 });
+			fabricImg.set({ left: (canvasW - imgW * scale) / 2, top: (canvasH - imgH * scale) / 2 });
 			fabricCanvas.setBackgroundImage(fabricImg, () => {
 				fabricCanvas.requestRenderAll();
-				pushHistory();
+				if (recordHistory) pushHistory('Change photo', []);
 				resolve();
 			});
 		});
 	}
 
-	/** Stickers **/
-	let packsData = null;
-	let currentPackId = null;
+	/** Document & Templates **/
+	const CANVAS_TEMPLATES = [
+		{ id: 'x-header', name: 'X header', width: 1500, height: 500 },
+		{ id: 'discord-banner', name: 'Discord banner', width: 960, height: 540 },
+		{ id: 'telegram-sticker', name: 'Telegram sticker', width: 512, height: 512 },
+		{ id: 'ig-story', name: 'IG story', width: 1080, height: 1920 }
+	];
+	const GRADIENT_DIRECTIONS = {
+		vertical: [0, 0, 0, 1],
+		horizontal: [0, 0, 1, 0],
+		diagonal: [0, 0, 1, 1]
+	};
 
-	async function loadStickerPacks() {
-		try {
-			const res = await fetch('stickers/packs.json', { cache: 'no-cache' });
-			packsData = await res.json();
-			renderPackTabs(packsData.packs || []);
-			if (packsData.packs && packsData.packs.length) {
-				selectPack(packsData.packs[0].id);
-			}
-		} catch (e) {
-			console.error('Failed to load sticker packs:', e);
+	function hasDocument() {
+		return !!(originalImage || canvasTemplate);
+	}
+
+	// Output frame at full resolution: the template size, else the edited photo, else the bare canvas
+	function getDocumentSize() {
+		if (canvasTemplate) return { width: canvasTemplate.width, height: canvasTemplate.height };
+		if (originalImage) return getPhotoSize();
+		return { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() };
+	}
+
+	function paintTemplateFill(ctx, background, frame) {
+		if (!background || background.type === 'none') return;
+		if (background.type === 'gradient') {
+			const [x0, y0, x1, y1] = GRADIENT_DIRECTIONS[background.direction] || GRADIENT_DIRECTIONS.vertical;
+			const gradient = ctx.createLinearGradient(
+				frame.x + x0 * frame.width, frame.y + y0 * frame.height,
+				frame.x + x1 * frame.width, frame.y + y1 * frame.height
+			);
+			gradient.addColorStop(0, background.color);
+			gradient.addColorStop(1, background.color2);
+			ctx.fillStyle = gradient;
+		} else {
+			ctx.fillStyle = background.color;
 		}
+		ctx.fillRect(frame.x, frame.y, frame.width, frame.height);
 	}
 
-	function renderPackTabs(packs) {
-		stickerTabs.innerHTML = '';
-		packs.forEach((p) => {
+	// Where the edited photo sits inside a document frame
+	function getPhotoBox(frame) {
+		if (!canvasTemplate) return frame;
+		// Template image placement: cover fills the frame, contain letterboxes over the fill
+		const photo = getPhotoSize();
+		const fit = canvasTemplate.background.fit === 'contain' ? Math.min : Math.max;
+		const s = fit(frame.width / photo.width, frame.height / photo.height);
+		return {
+			width: photo.width * s,
+			height: photo.height * s,
+			x: frame.x + (frame.width - photo.width * s) / 2,
+			y: frame.y + (frame.height - photo.height * s) / 2
+		};
+	}
+
+	// Paints template fill + photo into an outW×outH canvas; cover crops the document to the output aspect
+	function renderDocumentBackground(outW, outH, { cover = false, fullRes = false } = {}) {
+		const canvas = document.createElement('canvas');
+		canvas.width = outW;
+		canvas.height = outH;
+		const ctx = canvas.getContext('2d');
+		ctx.imageSmoothingEnabled = true;
+		ctx.imageSmoothingQuality = 'high';
+		const doc = getDocumentSize();
+		const docScale = cover
+			? Math.max(outW / doc.width, outH / doc.height)
+			: Math.min(outW / doc.width, outH / doc.height);
+		const frame = {
+			width: doc.width * docScale,
+			height: doc.height * docScale,
+			x: (outW - doc.width * docScale) / 2,
+			y: (outH - doc.height * docScale) / 2
+		};
+		if (canvasTemplate) paintTemplateFill(ctx, canvasTemplate.background, frame);
+		if (originalImage) {
+			const photo = getPhotoSize();
+			const box = getPhotoBox(frame);
+			ctx.save();
+			if (canvasTemplate) {
+				ctx.beginPath();
+				ctx.rect(frame.x, frame.y, frame.width, frame.height);
+				ctx.clip();
+			}
+			const photoScale = box.width / photo.width;
+			ctx.drawImage(renderPhotoLayer(Math.min(photoScale, 1), { fullRes }), box.x, box.y, box.width, box.height);
+			ctx.restore();
+		}
+		return canvas;
+	}
+
+	// Starts a new fixed-size document; photoSource is 'none', 'current' or a Blob to place as the image
+	async function startTemplateDocument(template, background, photoSource) {
+		historySuspended = true;
+		try {
+			fabricCanvas.clear();
+			fabricCanvas.setBackgroundImage(null, () => {});
+			canvasTemplate = { id: template.id, name: template.name, width: template.width, height: template.height, background };
+			if (photoSource !== 'current') {
+				originalImage = null;
+				originalImageBlob = null;
+				originalImageNaturalWidth = 0;
+				originalImageNaturalHeight = 0;
+				photoEdits = defaultPhotoEdits();
+				syncPhotoToolbar();
+			}
+		} finally {
+			historySuspended = false;
+		}
+		currentSessionId = null;
+		if (photoSource instanceof Blob) await setBackgroundFromFile(photoSource);
+		// Also covers an image that failed to decode: the template fill still needs painting
+		if (!fabricCanvas.backgroundImage) await refreshBackground();
+		resetHistory();
+		fitToView();
+		const instructions = document.getElementById('canvasInstructions');
+		if (instructions) instructions.classList.add('hidden');
+	}
+
+	function openTemplateDialog() {
+		const { body, close } = createDialog('New from template');
+		const bg = (canvasTemplate && canvasTemplate.background) || { type: 'solid', color: '#0a3161', color2: '#c8102e', direction: 'vertical', fit: 'cover' };
+		const rowStyle = 'display:flex; gap:8px; align-items:center; justify-content:space-between;';
+		body.innerHTML = `
+			<div id="tplChoices" style="display:grid; grid-template-columns:repeat(4, minmax(0, 1fr)); gap:8px; align-items:end;">
+				${CANVAS_TEMPLATES.map((t, i) => `
+					<label style="display:flex; flex-direction:column; align-items:center; gap:6px; cursor:pointer; font-size:12px; text-align:center;">
+						<span style="display:block; width:${Math.round(64 * Math.min(1, t.width / t.height))}px; height:${Math.round(64 * Math.min(1, t.height / t.width))}px; border:2px solid rgba(135,206,235,0.6); border-radius:4px;"></span>
+						<input type="radio" name="tplChoice" value="${t.id}" ${i === 0 ? 'checked' : ''} />
+						<span>${t.name}<br/><span style="opacity:0.7;">${t.width}×${t.height}</span></span>
+					</label>`).join('')}
+			</div>
+			<label style="${rowStyle}">
+				<span>Background</span>
+				<select id="tplBgType" class="btn btn-secondary">
+					<option value="solid">Solid colour</option>
+					<option value="gradient">Gradient</option>
+					<option value="none">Transparent</option>
+				</select>
+			</label>
+			<div id="tplColorsRow" style="${rowStyle}">
+				<span>Colours</span>
+				<span style="display:flex; gap:8px; align-items:center;">
+					<input type="color" id="tplColor1" />
+					<input type="color" id="tplColor2" />
+					<select id="tplDirection" class="btn btn-secondary">
+						<option value="vertical">Vertical</option>
+						<option value="horizontal">Horizontal</option>
+						<option value="diagonal">Diagonal</option>
+					</select>
+				</span>
+			</div>
+			<label style="${rowStyle}">
+				<span>Image</span>
+				<select id="tplImage" class="btn btn-secondary">
+					<option value="none">None</option>
+					${originalImage ? '<option value="current">Current photo</option>' : ''}
+					<option value="banner">MMGA banner</option>
+					<option value="upload">Upload…</option>
+				</select>
+			</label>
+			<input type="file" id="tplImageFile" accept="image/*" style="display:none;" />
+			<label id="tplFitRow" style="${rowStyle}">
+				<span>Image fit</span>
+				<select id="tplFit" class="btn btn-secondary">
+					<option value="cover">Cover</option>
+					<option value="contain">Contain</option>
+				</select>
+			</label>
+			<button class="btn btn-primary" id="tplCreateBtn">Create</button>
+		`;
+		const typeSel = body.querySelector('#tplBgType');
+		const color1 = body.querySelector('#tplColor1');
+		const color2 = body.querySelector('#tplColor2');
+		const directionSel = body.querySelector('#tplDirection');
+		const imageSel = body.querySelector('#tplImage');
+		const fileInput = body.querySelector('#tplImageFile');
+		const fitSel = body.querySelector('#tplFit');
+		typeSel.value = bg.type;
+		color1.value = bg.color;
+		color2.value = bg.color2;
+		directionSel.value = bg.direction;
+		fitSel.value = bg.fit;
+		if (canvasTemplate) {
+			const current = body.querySelector(`input[name="tplChoice"][value="${canvasTemplate.id}"]`);
+			if (current) current.checked = true;
+		}
+		if (originalImage) imageSel.value = 'current';
+		const updateRows = () => {
+			body.querySelector('#tplColorsRow').style.display = typeSel.value === 'none' ? 'none' : 'flex';
+			color2.style.display = typeSel.value === 'gradient' ? '' : 'none';
+			directionSel.style.display = typeSel.value === 'gradient' ? '' : 'none';
+			body.querySelector('#tplFitRow').style.display = imageSel.value === 'none' ? 'none' : 'flex';
+		};
+		typeSel.onchange = updateRows;
+		imageSel.onchange = () => {
+			if (imageSel.value === 'upload') fileInput.click();
+			updateRows();
+		};
+		updateRows();
+
+		body.querySelector('#tplCreateBtn').onclick = async () => {
+			const choice = body.querySelector('input[name="tplChoice"]:checked');
+			const template = CANVAS_TEMPLATES.find((t) => t.id === (choice && choice.value)) || CANVAS_TEMPLATES[0];
+			const background = {
+				type: typeSel.value,
+				color: color1.value,
+				color2: color2.value,
+				direction: directionSel.value,
+				fit: fitSel.value
+			};
+			let photoSource = imageSel.value === 'current' ? 'current' : 'none';
+			try {
+				if (imageSel.value === 'banner') {
+					photoSource = await (await fetch('1500x500.jpg')).blob();
+				} else if (imageSel.value === 'upload') {
+					photoSource = fileInput.files && fileInput.files[0];
+					if (!photoSource) {
+						showNotification('Choose an image to upload', 'error');
+						return;
+					}
+				}
+				close();
+				await startTemplateDocument(template, background, photoSource);
+				showNotification(`${template.name} ready`, 'success');
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to create from template', 'error');
+			}
+		};
+	}
+
+	/** Photo Edits **/
+	const PHOTO_PREVIEW_EDGE = 1600;
+	const PHOTO_ASPECTS = { original: null, '1:1': 1, '4:5': 4 / 5, '3:4': 3 / 4, '16:9': 16 / 9, '9:16': 9 / 16, '3:1': 3 };
+	const SHARPEN_MATRIX = [0, -1, 0, -1, 5, -1, 0, -1, 0];
+
+	function defaultPhotoEdits() {
+		return {
+			rotation: 0, // quarter turns in degrees: 0/90/180/270
+			straighten: 0, // free angle in degrees
+			flipX: false,
+			flipY: false,
+			aspect: 'original',
+			zoom: 1,
+			offsetX: 0, // -1..1 position of the crop window inside the free space
+			offsetY: 0,
+			filter: 'none',
+			vibrance: 0,
+			sharpen: false
+		};
+	}
+
+	function samePhotoEdits(a, b) {
+		return JSON.stringify(a) === JSON.stringify(b);
+	}
+
+	// Frame after quarter-turn rotation, the crop window inside it and the straighten cover scale
+	function computePhotoGeometry(edits, srcW = originalImageNaturalWidth, srcH = originalImageNaturalHeight) {
+		const quarter = ((edits.rotation % 360) + 360) % 180 === 90;
+		const frameW = quarter ? srcH : srcW;
+		const frameH = quarter ? srcW : srcH;
+		// Straightening rotates inside the frame; scale up so no empty corners show
+		const theta = Math.abs(edits.straighten * Math.PI / 180);
+		const cos = Math.cos(theta);
+		const sin = Math.sin(theta);
+		const coverScale = Math.max((frameW * cos + frameH * sin) / frameW, (frameW * sin + frameH * cos) / frameH);
+		const aspect = PHOTO_ASPECTS[edits.aspect] || null;
+		let cropW = frameW;
+		let cropH = frameH;
+		if (aspect) {
+			if (frameW / frameH > aspect) cropW = frameH * aspect;
+			else cropH = frameW / aspect;
+		}
+		const zoom = clamp(edits.zoom || 1, 1, 10);
+		cropW /= zoom;
+		cropH /= zoom;
+		const x = (frameW - cropW) / 2 * (1 + clamp(edits.offsetX || 0, -1, 1));
+		const y = (frameH - cropH) / 2 * (1 + clamp(edits.offsetY || 0, -1, 1));
+		return { frameW, frameH, coverScale, crop: { x, y, width: cropW, height: cropH } };
+	}
+
+	// Full-resolution size of the photo after crop/rotation
+	function getPhotoSize() {
+		if (!originalImage) return { width: 0, height: 0 };
+		const { crop } = computePhotoGeometry(photoEdits);
+		return { width: Math.max(1, Math.round(crop.width)), height: Math.max(1, Math.round(crop.height)) };
+	}
+
+	// Bakes the geometric edits into a canvas at the given scale of the full-resolution result
+	function renderEditedPhoto(source, edits, scale = 1) {
+		const srcW = source.naturalWidth || source.width;
+		const srcH = source.naturalHeight || source.height;
+		const { frameW, frameH, coverScale, crop } = computePhotoGeometry(edits, srcW, srcH);
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.max(1, Math.round(crop.width * scale));
+		canvas.height = Math.max(1, Math.round(crop.height * scale));
+		const ctx = canvas.getContext('2d');
+		ctx.imageSmoothingEnabled = true;
+		ctx.imageSmoothingQuality = 'high';
+		ctx.scale(canvas.width / crop.width, canvas.height / crop.height);
+		ctx.translate(-crop.x + frameW / 2, -crop.y + frameH / 2);
+		ctx.rotate((edits.rotation + edits.straighten) * Math.PI / 180);
+		ctx.scale(coverScale * (edits.flipX ? -1 : 1), coverScale * (edits.flipY ? -1 : 1));
+		ctx.drawImage(source, -srcW / 2, -srcH / 2, srcW, srcH);
+		return canvas;
+	}
+
+	function buildPhotoFilters(edits) {
+		const f = fabric.Image.filters;
+		const filters = [];
+		if (edits.filter === 'bw') filters.push(new f.Grayscale());
+		if (edits.filter === 'sepia') filters.push(new f.Sepia());
+		if (edits.filter === 'vintage') filters.push(new f.Vintage());
+		if (edits.vibrance) filters.push(new f.Vibrance({ vibrance: edits.vibrance }));
+		if (edits.sharpen) filters.push(new f.Convolute({ matrix: SHARPEN_MATRIX }));
+		return filters;
+	}
+
+	// The WebGL backend tiles at fabric.textureSize and would clip large exports; use the 2D backend there
+	function applyFiltersFullRes(image, filters) {
+		if (!filters.length) return;
+		const previous = fabric.filterBackend;
+		fabric.filterBackend = new fabric.Canvas2dFilterBackend();
+		try {
+			image.filters = filters;
+			image.applyFilters();
+		} finally {
+			fabric.filterBackend = previous;
+		}
+	}
+
+	// Edited photo with its filters baked in, at the given scale of the full-resolution result
+	function renderPhotoLayer(scale, { fullRes = false } = {}) {
+		const el = renderEditedPhoto(originalImage, photoEdits, scale);
+		const filters = buildPhotoFilters(photoEdits);
+		if (!filters.length) return el;
+		const img = new fabric.Image(el);
+		if (fullRes) {
+			applyFiltersFullRes(img, filters);
+		} else {
+			img.filters = filters;
+			img.applyFilters();
+		}
+		return img.getElement();
+	}
+
+	async function refreshBackground({ recordHistory = false } = {}) {
+		if (!hasDocument()) return;
+		setCanvasSizeToDocument();
+		const doc = getDocumentSize();
+		const scale = Math.min(1, PHOTO_PREVIEW_EDGE / Math.max(doc.width, doc.height));
+		const el = renderDocumentBackground(Math.round(doc.width * scale), Math.round(doc.height * scale));
+		await setFabricBackground(el, { recordHistory });
+	}
+
+	let photoRefreshPending = false;
+	function schedulePhotoRefresh() {
+		if (photoRefreshPending) return;
+		photoRefreshPending = true;
+		requestAnimationFrame(async () => {
+			photoRefreshPending = false;
+			await refreshBackground();
+		});
+	}
+
+	const commitPhotoEdit = debounceHistory('Edit photo', () => []);
+
+	function updatePhotoEdits(patch) {
+		if (!originalImage) {
+			showNotification('Upload a photo first', 'error');
+			return;
+		}
+		Object.assign(photoEdits, patch);
+		syncPhotoToolbar();
+		schedulePhotoRefresh();
+		commitPhotoEdit();
+	}
+
+	function togglePhotoMode() {
+		if (!photoToolbar) return;
+		const open = photoToolbar.hidden;
+		photoToolbar.hidden = !open;
+		photoModeBtn?.classList.toggle('active', open);
+		if (open) {
+			fabricCanvas.discardActiveObject();
+			fabricCanvas.requestRenderAll();
+			syncPhotoToolbar();
+		}
+	}
+
+	function syncPhotoToolbar() {
+		if (photoAspectSelect) photoAspectSelect.value = photoEdits.aspect;
+		if (photoZoomRange) photoZoomRange.value = String(photoEdits.zoom);
+		if (photoPanXRange) photoPanXRange.value = String(photoEdits.offsetX);
+		if (photoPanYRange) photoPanYRange.value = String(photoEdits.offsetY);
+		if (photoStraightenRange) photoStraightenRange.value = String(photoEdits.straighten);
+		if (photoFilterSelect) photoFilterSelect.value = photoEdits.filter;
+		if (photoVibranceRange) photoVibranceRange.value = String(photoEdits.vibrance);
+		if (photoSharpenToggle) photoSharpenToggle.checked = !!photoEdits.sharpen;
+	}
+
+	function wirePhotoToolbar() {
+		photoModeBtn?.addEventListener('click', togglePhotoMode);
+		photoAspectSelect?.addEventListener('change', (e) => updatePhotoEdits({ aspect: e.target.value, offsetX: 0, offsetY: 0 }));
+		photoZoomRange?.addEventListener('input', (e) => updatePhotoEdits({ zoom: parseFloat(e.target.value) || 1 }));
+		photoPanXRange?.addEventListener('input', (e) => updatePhotoEdits({ offsetX: parseFloat(e.target.value) || 0 }));
+		photoPanYRange?.addEventListener('input', (e) => updatePhotoEdits({ offsetY: parseFloat(e.target.value) || 0 }));
+		photoRotateLeftBtn?.addEventListener('click', () => updatePhotoEdits({ rotation: (photoEdits.rotation + 270) % 360 }));
+		photoRotateRightBtn?.addEventListener('click', () => updatePhotoEdits({ rotation: (photoEdits.rotation + 90) % 360 }));
+		photoStraightenRange?.addEventListener('input', (e) => updatePhotoEdits({ straighten: parseFloat(e.target.value) || 0 }));
+		photoFlipHBtn?.addEventListener('click', () => updatePhotoEdits({ flipX: !photoEdits.flipX }));
+		photoFlipVBtn?.addEventListener('click', () => updatePhotoEdits({ flipY: !photoEdits.flipY }));
+		photoFilterSelect?.addEventListener('change', (e) => updatePhotoEdits({ filter: e.target.value }));
+		photoVibranceRange?.addEventListener('input', (e) => updatePhotoEdits({ vibrance: parseFloat(e.target.value) || 0 }));
+		photoSharpenToggle?.addEventListener('change', (e) => updatePhotoEdits({ sharpen: e.target.checked }));
+		photoResetBtn?.addEventListener('click', () => updatePhotoEdits(defaultPhotoEdits()));
+	}
+
+	/** Stickers **/
+	// Manifests are merged in order; extra ones can be listed with ?packs=url (repeatable or comma separated)
+	const DEFAULT_MANIFESTS = ['stickers/packs.json'];
+	const MANIFEST_VERSION = 2;
+	const ANCHOR_TARGETS = ['top-of-head', 'eyes', 'mouth'];
+	let packsData = null;
+	let currentPackId = null;
+
+	function getManifestUrls() {
+		const params = new URLSearchParams(window.location.search);
+		const extra = params.getAll('packs').flatMap((v) => v.split(',')).map((v) => v.trim()).filter(Boolean);
+		const allowed = extra.filter((url) => {
+			if (isSameOriginUrl(url)) return true;
+			console.warn(`Ignoring sticker pack from another site: ${url}`);
+			return false;
+		});
+		return Array.from(new Set([...DEFAULT_MANIFESTS, ...allowed]));
+	}
+
+	// Packs and their images must come from this site (or be inline data:), so a shared link cannot
+	// pull in tracking pixels or cross-origin images that would taint the canvas and break export
+	function isSameOriginUrl(url) {
+		try {
+			const u = new URL(url, document.baseURI);
+			return u.protocol === 'data:' || u.origin === window.location.origin;
+		} catch (e) {
+			return false;
+		}
+	}
+
+	// Relative paths resolve against the manifest's baseUrl when it sets one, otherwise against the page
+	function resolveStickerUrl(path, base) {
+		try {
+			return base ? new URL(path, base).href : path;
+		} catch (e) {
+			return path;
+		}
+	}
+
+	// Returns a normalized item, or a string describing why the entry was rejected
+	function validateStickerItem(raw, base) {
+		if (!raw || typeof raw !== 'object') return 'entry is not an object';
+		if (typeof raw.id !== 'string' || !raw.id.trim()) return 'missing "id"';
+		if (typeof raw.src !== 'string' || !raw.src.trim()) return `"${raw.id}" has no "src"`;
+		if (raw.tags !== undefined && (!Array.isArray(raw.tags) || raw.tags.some((t) => typeof t !== 'string'))) {
+			return `"${raw.id}" has "tags" that are not a list of strings`;
+		}
+		if (raw.defaultScale !== undefined && !(raw.defaultScale > 0 && raw.defaultScale <= 1)) {
+			return `"${raw.id}" has "defaultScale" outside 0–1`;
+		}
+		let anchor = null;
+		if (raw.anchor !== undefined) {
+			const a = raw.anchor;
+			if (!a || !ANCHOR_TARGETS.includes(a.target) || !(a.x >= 0 && a.x <= 1) || !(a.y >= 0 && a.y <= 1)) {
+				return `"${raw.id}" has an invalid "anchor" (target must be ${ANCHOR_TARGETS.join('/')}, x/y within 0–1)`;
+			}
+			if (a.scale !== undefined && !(a.scale > 0)) return `"${raw.id}" has an anchor "scale" that is not a positive number`;
+			anchor = { target: a.target, x: a.x, y: a.y };
+			if (a.scale) anchor.scale = a.scale;
+		}
+		const src = resolveStickerUrl(raw.src, base);
+		const thumb = resolveStickerUrl(raw.thumb || raw.src, base);
+		if (!isSameOriginUrl(src) || !isSameOriginUrl(thumb)) return `"${raw.id}" points at an image on another site`;
+		return {
+			id: raw.id,
+			name: typeof raw.name === 'string' && raw.name.trim() ? raw.name : raw.id,
+			src,
+			thumb,
+			tags: raw.tags || [],
+			author: typeof raw.author === 'string' ? raw.author : '',
+			license: typeof raw.license === 'string' ? raw.license : '',
+			defaultScale: raw.defaultScale || 0.25,
+			allowTint: !!raw.allowTint,
+			animated: !!raw.animated,
+			anchor
+		};
+	}
+
+	// Folds one manifest into packs (same pack id merges items); problems collects readable messages
+	function mergeManifest(packs, manifest, url, problems) {
+		if (!manifest || !Array.isArray(manifest.packs)) {
+			problems.push(`${url}: expected a "packs" list`);
+			return;
+		}
+		if (manifest.version > MANIFEST_VERSION) {
+			problems.push(`${url}: version ${manifest.version} is newer than supported (${MANIFEST_VERSION}); unknown fields are ignored`);
+		}
+		const base = manifest.baseUrl ? resolveStickerUrl(manifest.baseUrl, new URL(url, document.baseURI).href) : null;
+		manifest.packs.forEach((rawPack, pi) => {
+			if (!rawPack || typeof rawPack.id !== 'string' || !Array.isArray(rawPack.items)) {
+				problems.push(`${url}: pack #${pi + 1} needs an "id" and an "items" list`);
+				return;
+			}
+			let pack = packs.find((p) => p.id === rawPack.id);
+			if (!pack) {
+				pack = {
+					id: rawPack.id,
+					name: rawPack.name || rawPack.id,
+					author: rawPack.author || '',
+					license: rawPack.license || '',
+					version: rawPack.version || manifest.version || 1,
+					items: []
+				};
+				packs.push(pack);
+			}
+			rawPack.items.forEach((rawItem, ii) => {
+				const item = validateStickerItem(rawItem, base);
+				if (typeof item === 'string') {
+					problems.push(`${url} › ${rawPack.id} #${ii + 1}: ${item}`);
+					return;
+				}
+				if (pack.items.some((it) => it.id === item.id)) {
+					problems.push(`${url} › ${rawPack.id}: duplicate sticker "${item.id}" skipped`);
+					return;
+				}
+				// Items inherit credits from their pack
+				item.author = item.author || rawPack.author || '';
+				item.license = item.license || rawPack.license || '';
+				pack.items.push(item);
+			});
+		});
+	}
+
+	async function loadStickerPacks() {
+		const packs = [];
+		const problems = [];
+		for (const url of getManifestUrls()) {
+			try {
+				const res = await fetch(url, { cache: 'no-cache' });
+				if (!res.ok) throw new Error(`HTTP ${res.status}`);
+				mergeManifest(packs, await res.json(), url, problems);
+			} catch (e) {
+				problems.push(`${url}: could not load (${e.message})`);
+			}
+		}
+		if (problems.length) {
+			console.warn('Sticker manifest problems:\n' + problems.join('\n'));
+			showNotification(problems.length === 1 ? `Stickers: ${problems[0]}` : `Stickers: ${problems.length} manifest problems (see console)`, 'error');
+		}
+		packsData = { packs };
+		await loadCustomStickers();
+		renderPackTabs(packsData.packs || []);
+		if (packsData.packs && packsData.packs.length) {
+			selectPack(packsData.packs[0].id);
+		}
+	}
+
+	function renderPackTabs(packs) {
+		stickerTabs.innerHTML = '';
+		packs.forEach((p) => {
 			const btn = document.createElement('button');
 			btn.className = 'btn btn-secondary';
 			btn.setAttribute('role', 'tab');
 			btn.setAttribute('data-pack-id', p.id);
 			btn.textContent = p.name || p.id;
+			btn.title = describeCredits(p) || (p.name || p.id);
 			btn.onclick = () => selectPack(p.id);
 			stickerTabs.appendChild(btn);
 		});
@@ -325,58 +1923,111 @@
 		renderStickerGrid();
 	}
 
+	function describeCredits(entry) {
+		const parts = [];
+		if (entry.author) parts.push(`by ${entry.author}`);
+		if (entry.license) parts.push(entry.license);
+		return parts.join(' · ');
+	}
+
+	// Scores how well text matches query: exact > prefix > word prefix > substring > in-order subsequence
+	function fuzzyScore(text, query) {
+		const t = (text || '').toLowerCase();
+		if (!t || !query) return 0;
+		if (t === query) return 100;
+		if (t.startsWith(query)) return 80;
+		if (t.split(/[\s_-]+/).some((w) => w.startsWith(query))) return 65;
+		if (t.includes(query)) return 50;
+		let ti = 0;
+		let first = -1;
+		for (const ch of query) {
+			ti = t.indexOf(ch, ti);
+			if (ti === -1) return 0;
+			if (first === -1) first = ti;
+			ti++;
+		}
+		// Tighter spreads rank higher
+		return Math.max(1, 30 - (ti - first - query.length));
+	}
+
+	function scoreSticker(item, query) {
+		const nameScore = Math.max(fuzzyScore(item.name, query), fuzzyScore(item.id, query));
+		const tagScore = Math.max(0, ...(item.tags || []).map((t) => fuzzyScore(t, query) * 0.8));
+		return Math.max(nameScore, tagScore);
+	}
+
+	function markStickerBroken(card, img, item) {
+		console.error('Failed to load sticker image:', item.id, img.src);
+		img.style.display = 'none';
+		card.classList.add('trait-card-broken');
+		card.title = `Missing image: ${img.src}`;
+		const note = document.createElement('div');
+		note.className = 'trait-missing';
+		note.textContent = '⚠ Image not found';
+		card.insertBefore(note, card.firstChild);
+	}
+
 	const renderStickerGrid = debounce(() => {
 		if (!packsData) return;
 		const pack = (packsData.packs || []).find((p) => p.id === currentPackId);
 		const items = (pack && pack.items) || [];
-		const q = (stickerSearch.value || '').toLowerCase();
+		const q = (stickerSearch.value || '').trim().toLowerCase();
 		stickerGrid.innerHTML = '';
-		items
-			.filter((it) => !q || (it.id || '').toLowerCase().includes(q))
+		if (pack && pack.id === CUSTOM_PACK_ID) stickerGrid.appendChild(createImportCard());
+		const visible = q
+			? items.map((it) => ({ it, score: scoreSticker(it, q) })).filter((r) => r.score > 0).sort((a, b) => b.score - a.score).map((r) => r.it)
+			: items;
+		if (!visible.length && q) {
+			const empty = document.createElement('div');
+			empty.className = 'trait-empty';
+			empty.textContent = `No stickers match "${stickerSearch.value.trim()}"`;
+			stickerGrid.appendChild(empty);
+		}
+		visible
 			.forEach((it) => {
+				const displayName = it.name || it.id;
+				const credits = describeCredits(it);
 				const card = document.createElement('div');
 				card.className = 'trait-card';
-				card.title = it.id;
+				card.title = credits ? `${displayName} — ${credits}` : displayName;
 				card.setAttribute('draggable', 'true');
 				card.ondragstart = (e) => {
-					e.dataTransfer.setData('text/plain', JSON.stringify(it));
+					e.dataTransfer.effectAllowed = 'copy';
+					e.dataTransfer.setData(STICKER_DRAG_TYPE, JSON.stringify(it));
+					e.dataTransfer.setData('text/plain', it.id || '');
+				};
+				card.onclick = () => {
+					addStickerToCanvas(it);
+					collapseStickerSheet();
 				};
-				card.onclick = () => addStickerToCanvas(it);
 				const img = document.createElement('img');
 				img.className = 'trait-thumb';
 				img.loading = 'lazy';
-				img.alt = it.id;
+				img.alt = displayName;
 				img.src = it.thumb || it.src;
-				img.onerror = () => {
-					console.error('Failed to load sticker image:', it.id, img.src);
-					img.style.display = 'none';
-				};
+				img.onerror = () => markStickerBroken(card, img, it);
 				const label = document.createElement('div');
 				label.className = 'trait-name';
-				label.textContent = it.id;
+				label.textContent = displayName;
 				card.appendChild(img);
 				card.appendChild(label);
+				if (it.customId) card.appendChild(createCustomStickerActions(it));
 				stickerGrid.appendChild(card);
 			});
 	}, 150);
 
-	// Drag/drop from library into canvas
-	stickerGrid.addEventListener('drop', function (e) {
-		try {
-			const data = e.dataTransfer.getData('text/plain');
-			if (data) addStickerToCanvas(JSON.parse(data));
-		} catch {}
-	});
-	stickerGrid.addEventListener('dragover', function (e) {
-		e.preventDefault();
-	});
-
-	function addStickerToCanvas(item) {
+	// point: optional canvas coordinates (e.g. a drop position); defaults to the canvas centre
+	function addStickerToCanvas(item, { point } = {}) {
 		if (!item || !item.src) return;
-		fabric.Image.fromURL(item.src, function (img) {
+		fabric.Image.fromURL(item.src, function (img, isError) {
+			if (isError || !img.width) {
+				console.error('Failed to load sticker image:', item.id, item.src);
+				showNotification(`Couldn't load "${item.name || item.id}" — ${item.src} is missing or not an image`, 'error');
+				return;
+			}
 			img.set({
-				left: fabricCanvas.getWidth() / 2,
-				top: fabricCanvas.getHeight() / 2,
+				left: point ? point.x : fabricCanvas.getWidth() / 2,
+				top: point ? point.y : fabricCanvas.getHeight() / 2,
 				originX: 'center',
 				originY: 'center',
 				selectable: true,
@@ -387,369 +2038,4604 @@
 			const targetWidth = fabricCanvas.getWidth() * defaultScale;
 			const scale = targetWidth / img.width;
 			img.scale(scale);
-			img.set('data', { stickerId: item.id || '', blend: 'source-over' });
+			const face = !point && item.anchor ? getActiveFace() : null;
+			if (face) placeOnFace(img, item.anchor, face);
+			else if (!point && item.anchor) noteFaceDetectionUnavailable();
+			const data = { stickerId: item.id || '', blend: 'source-over', allowTint: !!item.allowTint };
+			if (item.name && item.name !== item.id) data.stickerName = item.name;
+			if (item.anchor) data.anchor = item.anchor;
+			if (mayBeAnimated(item)) data.animSrc = item.src;
+			img.set('data', data);
 			fabricCanvas.add(img);
 			fabricCanvas.setActiveObject(img);
 			fabricCanvas.requestRenderAll();
-			pushHistory();
+			pushHistory(`Add ${item.name || item.id || 'sticker'}`, []);
+		});
+	}
+
+	/** Drop & Paste **/
+	const STICKER_DRAG_TYPE = 'application/x-mmga-sticker';
+	const maxDroppedImageEdge = 2048;
+
+	// Screen position → canvas coordinates, undoing CSS scaling and the zoom/pan viewportTransform
+	function clientToCanvasPoint(clientX, clientY) {
+		const rect = fabricCanvas.upperCanvasEl.getBoundingClientRect();
+		const x = (clientX - rect.left) * (fabricCanvas.getWidth() / rect.width);
+		const y = (clientY - rect.top) * (fabricCanvas.getHeight() / rect.height);
+		return fabric.util.transformPoint(new fabric.Point(x, y), fabric.util.invertTransform(fabricCanvas.viewportTransform));
+	}
+
+	// Dropped/pasted images become stickers stored as data URLs so history and saves stay self-contained
+	async function imageFileToSticker(file) {
+		// Animated files keep their original bytes so every frame survives
+		if (await isAnimatedImage(file)) {
+			return { id: (file.name || 'Pasted image').replace(/\.[^.]+$/, ''), src: await blobToDataURL(file), defaultScale: 0.4, animated: true };
+		}
+		// Same decode path as the photo: HEIC/AVIF decoders, downscale in the worker and EXIF orientation
+		const { image, width, height, kind } = await importPhoto(file, maxDroppedImageEdge);
+		const c = document.createElement('canvas');
+		c.width = Math.max(1, width);
+		c.height = Math.max(1, height);
+		c.getContext('2d').drawImage(image, 0, 0, c.width, c.height);
+		const opaque = kind === 'jpeg';
+		return {
+			id: (file.name || 'Pasted image').replace(/\.[^.]+$/, ''),
+			src: opaque ? c.toDataURL('image/jpeg', 0.92) : c.toDataURL('image/png'),
+			defaultScale: 0.4
+		};
+	}
+
+	// The first image becomes the photo when the canvas is empty; the rest are added as layers
+	async function importImageFiles(files, point) {
+		// HEIC often arrives without a MIME type
+		const images = files.filter((f) => f.type.startsWith('image/') || /\.(heic|heif|avif)$/i.test(f.name));
+		if (!images.length) return;
+		let rest = images;
+		if (!hasDocument()) {
+			await setBackgroundFromFile(images[0]);
+			rest = images.slice(1);
+		}
+		for (const file of rest) {
+			try {
+				addStickerToCanvas(await imageFileToSticker(file), { point });
+			} catch (e) {
+				console.error(e);
+				showNotification(`Could not read ${file.name || 'image'}: ${e.message}`, 'error');
+			}
+		}
+	}
+
+	function wireCanvasDrop() {
+		if (!canvasWrapper) return;
+		canvasWrapper.addEventListener('dragover', (e) => {
+			const types = Array.from(e.dataTransfer.types || []);
+			if (!types.includes(STICKER_DRAG_TYPE) && !types.includes('Files')) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'copy';
+			canvasWrapper.classList.add('drag-over');
+		});
+		canvasWrapper.addEventListener('dragleave', (e) => {
+			if (!canvasWrapper.contains(e.relatedTarget)) canvasWrapper.classList.remove('drag-over');
+		});
+		canvasWrapper.addEventListener('drop', async (e) => {
+			canvasWrapper.classList.remove('drag-over');
+			const sticker = e.dataTransfer.getData(STICKER_DRAG_TYPE);
+			const files = Array.from(e.dataTransfer.files || []);
+			if (!sticker && !files.length) return;
+			e.preventDefault();
+			const point = clientToCanvasPoint(e.clientX, e.clientY);
+			if (sticker) {
+				try {
+					addStickerToCanvas(JSON.parse(sticker), { point });
+				} catch (err) {
+					console.error(err);
+				}
+				return;
+			}
+			await importImageFiles(files, point);
+		});
+		document.addEventListener('paste', (e) => {
+			const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
+			if (tag === 'input' || tag === 'textarea' || (e.target && e.target.isContentEditable)) return;
+			const files = Array.from((e.clipboardData && e.clipboardData.items) || [])
+				.filter((item) => item.kind === 'file' && item.type.startsWith('image/'))
+				.map((item) => item.getAsFile())
+				.filter(Boolean);
+			if (!files.length) return;
+			e.preventDefault();
+			importImageFiles(files);
+		});
+	}
+
+	/** Face Anchoring **/
+	// Optional: detection only runs while the user has it switched on. It uses the bundled face-api tiny face
+	// detector and 68-point landmark model (vendor/face-api), fetched same-origin the first time and run on-device.
+	const FACE_DETECT_EDGE = 1024;
+	const FACE_API_SCRIPT = 'vendor/face-api/face-api.js';
+	const FACE_MODEL_DIR = 'vendor/face-api/models';
+	// Sticker width as a multiple of the face width, per anchor target
+	const ANCHOR_WIDTH = { 'top-of-head': 1.3, eyes: 0.95, mouth: 0.55 };
+	const faceSettings = { enabled: false };
+	let faceState = { source: null, faces: [], active: 0, pending: null };
+	let faceHighlightUntil = 0;
+	let faceUnavailableNoted = false;
+	let faceModelPromise = null;
+
+	function loadFaceModel() {
+		if (!faceModelPromise) {
+			faceModelPromise = new Promise((resolve, reject) => {
+				if (window.faceapi) {
+					resolve();
+					return;
+				}
+				const script = document.createElement('script');
+				script.src = FACE_API_SCRIPT;
+				script.onload = resolve;
+				script.onerror = () => reject(new Error('Face detection script failed to load'));
+				document.head.appendChild(script);
+			}).then(() => Promise.all([
+				window.faceapi.nets.tinyFaceDetector.loadFromUri(FACE_MODEL_DIR),
+				window.faceapi.nets.faceLandmark68TinyNet.loadFromUri(FACE_MODEL_DIR)
+			])).then(() => window.faceapi).catch((e) => {
+				// Allow another attempt the next time detection is switched on
+				faceModelPromise = null;
+				throw e;
+			});
+		}
+		return faceModelPromise;
+	}
+
+	// Faces belong to the photo they were detected on; a new or cleared photo invalidates them
+	function getFaces() {
+		return faceState.source && faceState.source === originalImage ? faceState.faces : [];
+	}
+
+	function getActiveFace() {
+		const faces = getFaces();
+		return faces.length ? faces[faceState.active % faces.length] : null;
+	}
+
+	function averagePoint(points) {
+		const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+		return { x: sum.x / points.length, y: sum.y / points.length };
+	}
+
+	// Converts a face-api result (in detection pixels) to source-photo coordinates with a roll angle
+	function normalizeFace(detected, ratio) {
+		const b = detected.detection.box;
+		const box = { x: b.x / ratio, y: b.y / ratio, width: b.width / ratio, height: b.height / ratio };
+		const toSource = (p) => ({ x: p.x / ratio, y: p.y / ratio });
+		const marks = detected.landmarks;
+		const eyes = [marks.getLeftEye(), marks.getRightEye()]
+			.map((points) => toSource(averagePoint(points)))
+			.sort((a, b) => a.x - b.x);
+		return {
+			box,
+			roll: Math.atan2(eyes[1].y - eyes[0].y, eyes[1].x - eyes[0].x),
+			eyes: averagePoint(eyes),
+			mouth: toSource(averagePoint(marks.getMouth()))
+		};
+	}
+
+	// Faces in an image of srcW×srcH, left to right, in its own pixel coordinates
+	async function findFaces(source, srcW, srcH) {
+		const ratio = Math.min(1, FACE_DETECT_EDGE / Math.max(srcW, srcH));
+		const c = document.createElement('canvas');
+		c.width = Math.max(1, Math.round(srcW * ratio));
+		c.height = Math.max(1, Math.round(srcH * ratio));
+		c.getContext('2d').drawImage(source, 0, 0, c.width, c.height);
+		const faceapi = await loadFaceModel();
+		const found = await faceapi
+			.detectAllFaces(c, new faceapi.TinyFaceDetectorOptions({ inputSize: 512, scoreThreshold: 0.5 }))
+			.withFaceLandmarks(true);
+		return found.map((f) => normalizeFace(f, ratio)).sort((a, b) => a.box.x - b.box.x);
+	}
+
+	async function detectFaces() {
+		const source = originalImage;
+		if (!source || !faceSettings.enabled) return [];
+		if (faceState.source === source) return faceState.pending || faceState.faces;
+		faceState = { source, faces: [], active: 0, pending: null };
+		syncFaceButton();
+		faceState.pending = (async () => {
+			try {
+				const faces = await findFaces(source, originalImageNaturalWidth, originalImageNaturalHeight);
+				if (faceState.source === source) faceState.faces = faces;
+				return faces;
+			} catch (e) {
+				console.warn('Face detection failed:', e);
+				return [];
+			} finally {
+				if (faceState.source === source) {
+					faceState.pending = null;
+					syncFaceButton();
+				}
+			}
+		})();
+		return faceState.pending;
+	}
+
+	function noteFaceDetectionUnavailable() {
+		if (faceUnavailableNoted || !originalImage || faceSettings.enabled) return;
+		faceUnavailableNoted = true;
+		showNotification('Turn on face detection (☺ Faces) to place this sticker on a face automatically', 'info');
+	}
+
+	async function setFaceDetection(enabled) {
+		faceSettings.enabled = enabled;
+		faceDetectBtn?.classList.toggle('active', enabled);
+		faceDetectBtn?.setAttribute('aria-pressed', String(enabled));
+		if (!enabled) {
+			faceState = { source: null, faces: [], active: 0, pending: null };
+			syncFaceButton();
+			return;
+		}
+		if (faceDetectBtn) faceDetectBtn.disabled = true;
+		try {
+			await loadFaceModel();
+			if (!originalImage) return;
+			const faces = await detectFaces();
+			showNotification(faces.length ? `Found ${faces.length} face${faces.length === 1 ? '' : 's'}` : 'No faces found in this photo', 'info');
+		} catch (e) {
+			console.error(e);
+			showNotification('Could not load the face detection model', 'error');
+			setFaceDetection(false);
+		} finally {
+			if (faceDetectBtn) faceDetectBtn.disabled = false;
+		}
+	}
+
+	// Source-photo pixel → canvas coordinates, following photo edits and template placement
+	function photoPointToCanvas(pt) {
+		const bg = fabricCanvas.backgroundImage;
+		if (!bg) return pt;
+		const srcW = originalImageNaturalWidth;
+		const srcH = originalImageNaturalHeight;
+		const { frameW, frameH, coverScale, crop } = computePhotoGeometry(photoEdits, srcW, srcH);
+		// Same transform chain as renderEditedPhoto
+		let x = (pt.x - srcW / 2) * coverScale * (photoEdits.flipX ? -1 : 1);
+		let y = (pt.y - srcH / 2) * coverScale * (photoEdits.flipY ? -1 : 1);
+		const a = (photoEdits.rotation + photoEdits.straighten) * Math.PI / 180;
+		const rx = x * Math.cos(a) - y * Math.sin(a);
+		const ry = x * Math.sin(a) + y * Math.cos(a);
+		x = rx + frameW / 2 - crop.x;
+		y = ry + frameH / 2 - crop.y;
+		const photo = getPhotoSize();
+		const box = getPhotoBox({ x: bg.left, y: bg.top, width: bg.getScaledWidth(), height: bg.getScaledHeight() });
+		return { x: box.x + x * box.width / photo.width, y: box.y + y * box.height / photo.height };
+	}
+
+	// Target point, face width and upright angle (degrees) on the canvas for an anchor target; toCanvas maps
+	// photo pixels to the canvas the layer lives on (batch photos are placed off-screen)
+	function getFaceTarget(face, target, toCanvas = photoPointToCanvas) {
+		const { box, roll } = face;
+		const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+		const up = { x: Math.sin(roll), y: -Math.cos(roll) };
+		const along = (d) => ({ x: centre.x + up.x * d * box.height, y: centre.y + up.y * d * box.height });
+		const points = {
+			'top-of-head': along(0.7),
+			eyes: face.eyes || along(0.12),
+			mouth: face.mouth || along(-0.28)
+		};
+		const c = toCanvas(centre);
+		const u = toCanvas(along(0.5));
+		const side = toCanvas({ x: centre.x + Math.cos(roll) * box.width, y: centre.y + Math.sin(roll) * box.width });
+		return {
+			point: toCanvas(points[target] || centre),
+			width: Math.hypot(side.x - c.x, side.y - c.y),
+			angle: Math.atan2(u.x - c.x, -(u.y - c.y)) * 180 / Math.PI
+		};
+	}
+
+	// Scales and rotates obj so its anchor (fractions of its own size) lands on the face target
+	function placeOnFace(obj, anchor, face) {
+		const { point, width, angle } = getFaceTarget(face, anchor.target);
+		const scale = width * (anchor.scale || ANCHOR_WIDTH[anchor.target] || 1) / obj.width;
+		const rad = angle * Math.PI / 180;
+		const dx = (anchor.x - 0.5) * obj.width * scale * (obj.flipX ? -1 : 1);
+		const dy = (anchor.y - 0.5) * obj.height * scale * (obj.flipY ? -1 : 1);
+		obj.set({
+			originX: 'center',
+			originY: 'center',
+			scaleX: scale,
+			scaleY: scale,
+			angle,
+			left: point.x - (dx * Math.cos(rad) - dy * Math.sin(rad)),
+			top: point.y - (dx * Math.sin(rad) + dy * Math.cos(rad))
+		});
+		obj.setCoords();
+	}
+
+	function syncFaceButton() {
+		if (!faceCycleBtn) return;
+		const faces = getFaces();
+		faceCycleBtn.hidden = faces.length < 2;
+		faceCycleBtn.textContent = `☺ Face ${faceState.active % Math.max(1, faces.length) + 1}/${faces.length}`;
+	}
+
+	// Moves to the next face; an anchored sticker that is selected follows it
+	function cycleFace() {
+		const faces = getFaces();
+		if (faces.length < 2) return;
+		faceState.active = (faceState.active + 1) % faces.length;
+		syncFaceButton();
+		faceHighlightUntil = Date.now() + 1200;
+		setTimeout(() => fabricCanvas.requestRenderAll(), 1250);
+		const obj = fabricCanvas.getActiveObject();
+		const anchor = obj && obj.data && obj.data.anchor;
+		if (anchor) {
+			placeOnFace(obj, anchor, getActiveFace());
+			pushHistory('Move to face', [obj]);
+		}
+		fabricCanvas.requestRenderAll();
+	}
+
+	// Briefly outlines the active face after cycling so users can see which one is targeted
+	function drawFaceHighlight(ctx) {
+		const face = Date.now() < faceHighlightUntil ? getActiveFace() : null;
+		if (!face) return;
+		const { x, y, width, height } = face.box;
+		const corners = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }]
+			.map((p) => fabric.util.transformPoint(photoPointToCanvas(p), fabricCanvas.viewportTransform));
+		ctx.save();
+		ctx.strokeStyle = 'rgba(135,206,235,0.9)';
+		ctx.lineWidth = 2;
+		ctx.setLineDash([6, 4]);
+		ctx.beginPath();
+		corners.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+		ctx.closePath();
+		ctx.stroke();
+		ctx.restore();
+	}
+
+	/** My Stickers (user imports stored in IndexedDB) **/
+	const CUSTOM_PACK_ID = 'my-stickers';
+	const maxCustomStickerEdge = 2048;
+
+	function parseTags(value) {
+		return (value || '').split(',').map((t) => t.trim()).filter(Boolean);
+	}
+
+	async function loadCustomStickers() {
+		let records = [];
+		try {
+			records = await idbRun(STICKER_STORE, 'readonly', (store) => store.getAll());
+		} catch (e) {
+			console.warn('Custom stickers unavailable:', e);
+		}
+		records.sort((a, b) => b.createdAt - a.createdAt);
+		const items = [];
+		for (const rec of records) {
+			const src = await blobToDataURL(rec.blob);
+			items.push({ id: rec.name, src, thumb: src, defaultScale: 0.4, allowTint: false, tags: rec.tags || [], customId: rec.id });
+		}
+		packsData.packs = (packsData.packs || []).filter((p) => p.id !== CUSTOM_PACK_ID);
+		packsData.packs.push({ id: CUSTOM_PACK_ID, name: 'My stickers', items });
+	}
+
+	async function refreshCustomPack() {
+		await loadCustomStickers();
+		renderPackTabs(packsData.packs);
+		selectPack(currentPackId || CUSTOM_PACK_ID);
+	}
+
+	function createImportCard() {
+		const card = document.createElement('div');
+		card.className = 'trait-card trait-card-import';
+		card.title = 'Import PNG, WebP or SVG stickers';
+		card.innerHTML = '<div class="trait-import-icon">+</div><div class="trait-name">Import</div>';
+		card.onclick = () => customStickerInput && customStickerInput.click();
+		return card;
+	}
+
+	function createCustomStickerActions(item) {
+		const actions = document.createElement('div');
+		actions.className = 'trait-actions';
+		const editBtn = document.createElement('button');
+		editBtn.className = 'layer-btn';
+		editBtn.title = 'Rename / tags';
+		editBtn.textContent = '✎';
+		editBtn.onclick = (e) => {
+			e.stopPropagation();
+			openStickerDetailsDialog(item);
+		};
+		const deleteBtn = document.createElement('button');
+		deleteBtn.className = 'layer-btn';
+		deleteBtn.title = 'Delete sticker';
+		deleteBtn.textContent = '✕';
+		deleteBtn.onclick = async (e) => {
+			e.stopPropagation();
+			if (!await confirmDialog('Delete sticker', `Delete "${item.id}" from My stickers?`, 'Delete')) return;
+			try {
+				await idbRun(STICKER_STORE, 'readwrite', (store) => store.delete(item.customId));
+				await refreshCustomPack();
+			} catch (err) {
+				console.error(err);
+				showNotification('Failed to delete sticker', 'error');
+			}
+		};
+		actions.append(editBtn, deleteBtn);
+		return actions;
+	}
+
+	function openStickerDetailsDialog(item) {
+		const { body, close } = createDialog('Edit sticker');
+		body.innerHTML = `
+			<label style="display:grid; gap:4px;"><span>Name</span><input type="text" id="stickerNameInput" class="search-input" /></label>
+			<label style="display:grid; gap:4px;"><span>Tags (comma separated)</span><input type="text" id="stickerTagsInput" class="search-input" /></label>
+			<button class="btn btn-primary" id="stickerDetailsSaveBtn">Save</button>
+		`;
+		body.querySelector('#stickerNameInput').value = item.id;
+		body.querySelector('#stickerTagsInput').value = (item.tags || []).join(', ');
+		body.querySelector('#stickerDetailsSaveBtn').onclick = async () => {
+			const name = body.querySelector('#stickerNameInput').value.trim() || item.id;
+			const tags = parseTags(body.querySelector('#stickerTagsInput').value);
+			try {
+				await idbRun(STICKER_STORE, 'readwrite', (store) => {
+					const req = store.get(item.customId);
+					req.onsuccess = () => {
+						if (req.result) store.put({ ...req.result, name, tags });
+					};
+					return req;
+				});
+				close();
+				await refreshCustomPack();
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to save sticker details', 'error');
+			}
+		};
+	}
+
+	// Makes pixels near keyColor transparent; feather softens the edge over the next feather% of distance
+	function keyOutColor(imageData, keyColor, tolerance, feather) {
+		const key = new fabric.Color(keyColor).getSource();
+		const maxDist = Math.sqrt(3) * 255;
+		const tol = tolerance / 100;
+		const fea = feather / 100;
+		const d = imageData.data;
+		for (let i = 0; i < d.length; i += 4) {
+			const dist = Math.sqrt((d[i] - key[0]) ** 2 + (d[i + 1] - key[1]) ** 2 + (d[i + 2] - key[2]) ** 2) / maxDist;
+			if (dist <= tol) d[i + 3] = 0;
+			else if (fea > 0 && dist < tol + fea) d[i + 3] = Math.round(d[i + 3] * (dist - tol) / fea);
+		}
+		return imageData;
+	}
+
+	// Bounding box of pixels with visible alpha, or null when everything is transparent
+	function findOpaqueBounds(imageData, threshold = 8) {
+		const { width, height, data } = imageData;
+		let minX = width, minY = height, maxX = -1, maxY = -1;
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				if (data[(y * width + x) * 4 + 3] > threshold) {
+					if (x < minX) minX = x;
+					if (x > maxX) maxX = x;
+					if (y < minY) minY = y;
+					if (y > maxY) maxY = y;
+				}
+			}
+		}
+		return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+	}
+
+	function processStickerCanvas(source, { removeColor, color, tolerance, feather, trim }) {
+		const ctx = source.getContext('2d');
+		let imageData = ctx.getImageData(0, 0, source.width, source.height);
+		if (removeColor) imageData = keyOutColor(imageData, color, tolerance, feather);
+		const bounds = trim ? findOpaqueBounds(imageData) : null;
+		const box = bounds || { x: 0, y: 0, width: source.width, height: source.height };
+		const out = document.createElement('canvas');
+		out.width = box.width;
+		out.height = box.height;
+		out.getContext('2d').putImageData(imageData, -box.x, -box.y);
+		return out;
+	}
+
+	async function openStickerImportDialog(file) {
+		const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '');
+		let img;
+		if (isSvg) {
+			const decoded = await decodeImageFromFile(file);
+			URL.revokeObjectURL(decoded.url);
+			img = decoded.img;
+		} else {
+			// Rasters take the photo path so HEIC/AVIF decode and EXIF orientation apply
+			img = (await importPhoto(file, maxCustomStickerEdge)).image;
+		}
+		// SVGs without intrinsic size report 0; rasterize those at a sensible default
+		const natW = img.naturalWidth || img.width || 512;
+		const natH = img.naturalHeight || img.height || 512;
+		const scale = isSvg
+			? maxCustomStickerEdge / 2 / Math.max(natW, natH)
+			: Math.min(1, maxCustomStickerEdge / Math.max(natW, natH));
+		const source = document.createElement('canvas');
+		source.width = Math.max(1, Math.round(natW * scale));
+		source.height = Math.max(1, Math.round(natH * scale));
+		source.getContext('2d').drawImage(img, 0, 0, source.width, source.height);
+
+		// Opaque corners usually mean a flat backdrop; offer to key it out
+		const corner = source.getContext('2d').getImageData(0, 0, 1, 1).data;
+		const state = {
+			removeColor: !isSvg && corner[3] === 255,
+			color: `#${new fabric.Color(`rgb(${corner[0]},${corner[1]},${corner[2]})`).toHex()}`,
+			tolerance: 12,
+			feather: 6,
+			trim: !isSvg
+		};
+
+		const { card, body, close: closeDialog } = createDialog('Import sticker');
+		let finish;
+		const closed = new Promise((resolve) => { finish = resolve; });
+		const close = () => {
+			closeDialog();
+			finish();
+		};
+		card.querySelector('[data-dialog-close]').onclick = close;
+		body.innerHTML = `
+			<canvas id="stickerImportPreview" class="sticker-import-preview" title="Click to pick the colour to remove"></canvas>
+			<label style="display:flex; gap:8px; align-items:center;">
+				<input type="checkbox" id="stickerRemoveColor" />
+				<span>Remove colour</span>
+				<input type="color" id="stickerKeyColor" />
+			</label>
+			<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+				<span>Tolerance</span>
+				<input type="range" id="stickerTolerance" min="0" max="60" step="1" style="width:160px;" />
+			</label>
+			<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+				<span>Feather</span>
+				<input type="range" id="stickerFeather" min="0" max="30" step="1" style="width:160px;" />
+			</label>
+			<label style="display:flex; gap:8px; align-items:center;">
+				<input type="checkbox" id="stickerTrim" />
+				<span>Trim empty margins</span>
+			</label>
+			<label style="display:grid; gap:4px;"><span>Name</span><input type="text" id="stickerNameInput" class="search-input" /></label>
+			<label style="display:grid; gap:4px;"><span>Tags (comma separated)</span><input type="text" id="stickerTagsInput" class="search-input" /></label>
+			<button class="btn btn-primary" id="stickerImportSaveBtn">Add to My stickers</button>
+		`;
+		const preview = body.querySelector('#stickerImportPreview');
+		const removeInput = body.querySelector('#stickerRemoveColor');
+		const colorInput = body.querySelector('#stickerKeyColor');
+		const toleranceInput = body.querySelector('#stickerTolerance');
+		const featherInput = body.querySelector('#stickerFeather');
+		const trimInput = body.querySelector('#stickerTrim');
+		removeInput.checked = state.removeColor;
+		colorInput.value = state.color;
+		toleranceInput.value = String(state.tolerance);
+		featherInput.value = String(state.feather);
+		trimInput.checked = state.trim;
+		body.querySelector('#stickerNameInput').value = (file.name || 'Sticker').replace(/\.[^.]+$/, '');
+
+		let processed = source;
+		const render = () => {
+			processed = processStickerCanvas(source, state);
+			const fit = Math.min(1, 320 / Math.max(processed.width, processed.height));
+			preview.width = Math.max(1, Math.round(processed.width * fit));
+			preview.height = Math.max(1, Math.round(processed.height * fit));
+			preview.getContext('2d').drawImage(processed, 0, 0, preview.width, preview.height);
+		};
+		const update = debounce(render, 60);
+		removeInput.onchange = () => { state.removeColor = removeInput.checked; update(); };
+		colorInput.oninput = () => { state.color = colorInput.value; update(); };
+		toleranceInput.oninput = () => { state.tolerance = parseFloat(toleranceInput.value); update(); };
+		featherInput.oninput = () => { state.feather = parseFloat(featherInput.value); update(); };
+		trimInput.onchange = () => { state.trim = trimInput.checked; update(); };
+		// Pick the key colour from the untouched source under the click
+		preview.onclick = (e) => {
+			if (state.trim) return showNotification('Turn off trimming to pick a colour', 'info');
+			const rect = preview.getBoundingClientRect();
+			const x = Math.floor((e.clientX - rect.left) / rect.width * source.width);
+			const y = Math.floor((e.clientY - rect.top) / rect.height * source.height);
+			const px = source.getContext('2d').getImageData(x, y, 1, 1).data;
+			state.color = `#${new fabric.Color(`rgb(${px[0]},${px[1]},${px[2]})`).toHex()}`;
+			state.removeColor = true;
+			colorInput.value = state.color;
+			removeInput.checked = true;
+			update();
+		};
+		render();
+
+		body.querySelector('#stickerImportSaveBtn').onclick = async () => {
+			// Untouched SVGs stay vector; anything processed is stored as PNG
+			const keepOriginal = isSvg && !state.removeColor && !state.trim;
+			const blob = keepOriginal ? file : await new Promise((resolve) => processed.toBlob(resolve, 'image/png'));
+			const record = {
+				id: `st_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+				name: body.querySelector('#stickerNameInput').value.trim() || 'Sticker',
+				tags: parseTags(body.querySelector('#stickerTagsInput').value),
+				blob,
+				createdAt: Date.now()
+			};
+			try {
+				await idbRun(STICKER_STORE, 'readwrite', (store) => store.put(record));
+				close();
+				currentPackId = CUSTOM_PACK_ID;
+				await refreshCustomPack();
+				showNotification('Sticker added to My stickers', 'success');
+			} catch (e) {
+				console.error(e);
+				showNotification('Could not save sticker', 'error');
+			}
+		};
+		return closed;
+	}
+
+	async function importCustomStickerFiles(files) {
+		const accepted = files.filter((f) => /^image\/(png|webp|svg\+xml)$/.test(f.type) || /\.(png|webp|svg)$/i.test(f.name || ''));
+		if (accepted.length < files.length) showNotification('Only PNG, WebP and SVG files can be imported', 'error');
+		// One dialog at a time so each file gets its own clean-up pass
+		for (const file of accepted) {
+			try {
+				await openStickerImportDialog(file);
+			} catch (e) {
+				console.error(e);
+				showNotification(`Could not read ${file.name}`, 'error');
+			}
+		}
+	}
+
+	/** Text Layers **/
+	// Select values are "family|weight"; families match the webfonts loaded in index.html
+	const TEXT_FONTS = {
+		'Montserrat|900': 'Montserrat Black',
+		'Montserrat|700': 'Montserrat Bold',
+		'Open Sans|400': 'Open Sans',
+		'Open Sans|700': 'Open Sans Bold',
+		'Impact, "Arial Black", sans-serif|400': 'Impact (meme)'
+	};
+	const MEME_FONT = 'Impact, "Arial Black", sans-serif';
+	const TEXT_SHADOW = { color: 'rgba(0,0,0,0.6)', blur: 8, offsetX: 3, offsetY: 3 };
+
+	function isTextObject(obj) {
+		return !!obj && (obj.type === 'textbox' || obj.type === 'i-text' || obj.type === 'text');
+	}
+
+	// Webfonts load lazily; render again once the face is available so metrics are right
+	function ensureFontLoaded(obj) {
+		if (!document.fonts || !isTextObject(obj)) return Promise.resolve();
+		const family = obj.fontFamily.split(',')[0].replace(/"/g, '').trim();
+		return document.fonts.load(`${obj.fontWeight} 40px "${family}"`).then(() => {
+			obj.initDimensions();
+			obj.setCoords();
+			fabricCanvas.requestRenderAll();
+		}).catch(() => {});
+	}
+
+	function createTextLayer(text, options = {}) {
+		const canvasW = fabricCanvas.getWidth();
+		const textbox = new fabric.Textbox(text, {
+			left: canvasW / 2,
+			top: fabricCanvas.getHeight() / 2,
+			originX: 'center',
+			originY: 'center',
+			width: canvasW * 0.8,
+			fontFamily: 'Montserrat',
+			fontWeight: 900,
+			fontSize: Math.round(canvasW / 10),
+			fill: '#ffffff',
+			stroke: '#0A3161',
+			strokeWidth: 2,
+			paintFirst: 'stroke',
+			textAlign: 'center',
+			charSpacing: 0,
+			objectCaching: false,
+			globalCompositeOperation: 'source-over',
+			...options
+		});
+		textbox.set('data', { stickerId: 'Text', kind: 'text', blend: 'source-over' });
+		return textbox;
+	}
+
+	function addTextLayer() {
+		const textbox = createTextLayer('MAKE MEMES GREAT AGAIN');
+		fabricCanvas.add(textbox);
+		fabricCanvas.setActiveObject(textbox);
+		ensureFontLoaded(textbox);
+		fabricCanvas.requestRenderAll();
+		pushHistory('Add text', []);
+	}
+
+	// Classic top/bottom caption pair: white Impact caps with a black outline
+	function addMemeCaptions() {
+		const canvasW = fabricCanvas.getWidth();
+		const canvasH = fabricCanvas.getHeight();
+		const margin = canvasH * 0.03;
+		const meme = {
+			width: canvasW * 0.92,
+			fontFamily: MEME_FONT,
+			fontWeight: 400,
+			fontSize: Math.round(Math.min(canvasW, canvasH) / 8),
+			fill: '#ffffff',
+			stroke: '#000000',
+			strokeWidth: Math.max(2, Math.round(Math.min(canvasW, canvasH) / 100)),
+			lineHeight: 1
+		};
+		const top = createTextLayer('TOP TEXT', { ...meme, originY: 'top', top: margin });
+		const bottom = createTextLayer('BOTTOM TEXT', { ...meme, originY: 'bottom', top: canvasH - margin });
+		top.data.stickerId = 'Top caption';
+		bottom.data.stickerId = 'Bottom caption';
+		fabricCanvas.add(top, bottom);
+		fabricCanvas.setActiveObject(top);
+		fabricCanvas.requestRenderAll();
+		pushHistory('Add meme captions', []);
+	}
+
+	function updateActiveText(props) {
+		const obj = getActiveObject();
+		if (!isTextObject(obj)) return;
+		obj.set(props);
+		if (props.fontFamily) ensureFontLoaded(obj);
+		obj.initDimensions();
+		obj.setCoords();
+		fabricCanvas.requestRenderAll();
+		refreshLayerThumb(obj);
+	}
+
+	const commitTextChange = debounceHistory('Edit text');
+
+	function syncTextToolbar(obj) {
+		const isText = isTextObject(obj);
+		if (textToolbar) textToolbar.hidden = !isText;
+		if (!isText) return;
+		const fontKey = `${obj.fontFamily}|${obj.fontWeight}`;
+		if (textFontSelect) textFontSelect.value = TEXT_FONTS[fontKey] ? fontKey : 'Montserrat|900';
+		if (textFillInput && typeof obj.fill === 'string') textFillInput.value = toHexColor(obj.fill);
+		if (textStrokeInput && obj.stroke) textStrokeInput.value = toHexColor(obj.stroke);
+		if (textStrokeWidthRange) textStrokeWidthRange.value = String(obj.strokeWidth || 0);
+		if (textShadowToggle) textShadowToggle.checked = !!obj.shadow;
+		if (textSpacingRange) textSpacingRange.value = String(obj.charSpacing || 0);
+		if (textAlignSelect) textAlignSelect.value = obj.textAlign || 'center';
+	}
+
+	function toHexColor(color) {
+		const c = new fabric.Color(color);
+		return `#${c.toHex()}`;
+	}
+
+	function wireTextToolbar() {
+		if (textFontSelect) {
+			textFontSelect.innerHTML = '';
+			Object.entries(TEXT_FONTS).forEach(([value, label]) => {
+				const opt = document.createElement('option');
+				opt.value = value;
+				opt.textContent = label;
+				textFontSelect.appendChild(opt);
+			});
+		}
+		textFontSelect?.addEventListener('change', (e) => {
+			const [fontFamily, weight] = e.target.value.split('|');
+			updateActiveText({ fontFamily, fontWeight: parseInt(weight, 10) });
+			commitTextChange();
+		});
+		textFillInput?.addEventListener('input', (e) => {
+			updateActiveText({ fill: e.target.value });
+			commitTextChange();
+		});
+		textStrokeInput?.addEventListener('input', (e) => {
+			updateActiveText({ stroke: e.target.value });
+			commitTextChange();
+		});
+		textStrokeWidthRange?.addEventListener('input', (e) => {
+			updateActiveText({ strokeWidth: parseFloat(e.target.value) || 0 });
+			commitTextChange();
+		});
+		textShadowToggle?.addEventListener('change', (e) => {
+			updateActiveText({ shadow: e.target.checked ? new fabric.Shadow(TEXT_SHADOW) : null });
+			syncAdjustToolbar(getActiveObject());
+			commitTextChange();
+		});
+		textSpacingRange?.addEventListener('input', (e) => {
+			updateActiveText({ charSpacing: parseInt(e.target.value, 10) || 0 });
+			commitTextChange();
+		});
+		textAlignSelect?.addEventListener('change', (e) => {
+			updateActiveText({ textAlign: e.target.value });
+			commitTextChange();
+		});
+	}
+
+	/** Drawing, Shapes & Eraser **/
+	const DRAW_TOOLS = { select: 'Select', pencil: 'Pencil', marker: 'Marker', spray: 'Spray', eraser: 'Eraser' };
+	const drawSettings = { tool: 'pencil', stroke: '#b22234', width: 8, fill: '#ffffff', filled: true };
+	let drawModeOpen = false;
+
+	function createBrush(tool) {
+		if (tool === 'spray') {
+			const brush = new fabric.SprayBrush(fabricCanvas);
+			brush.width = drawSettings.width * 3;
+			brush.dotWidth = Math.max(1, drawSettings.width / 4);
+			brush.density = 30;
+			brush.color = drawSettings.stroke;
+			return brush;
+		}
+		const brush = new fabric.PencilBrush(fabricCanvas);
+		brush.decimate = 2;
+		brush.strokeLineJoin = 'round';
+		brush.strokeLineCap = 'round';
+		brush.width = drawSettings.width;
+		brush.color = drawSettings.stroke;
+		if (tool === 'marker') {
+			// Wide, flat and see-through so overlapping strokes build up like a highlighter
+			brush.width = drawSettings.width * 2;
+			brush.strokeLineCap = 'square';
+			brush.color = new fabric.Color(drawSettings.stroke).setAlpha(0.5).toRgba();
+		} else if (tool === 'eraser') {
+			brush.width = drawSettings.width * 2;
+			brush.color = 'rgba(255,255,255,0.6)';
+		}
+		return brush;
+	}
+
+	function applyDrawTool() {
+		const drawing = drawModeOpen && drawSettings.tool !== 'select';
+		if (drawing) {
+			fabricCanvas.discardActiveObject();
+			fabricCanvas.freeDrawingBrush = createBrush(drawSettings.tool);
+		}
+		fabricCanvas.isDrawingMode = drawing;
+		fabricCanvas.requestRenderAll();
+	}
+
+	function toggleDrawMode() {
+		drawModeOpen = !drawModeOpen;
+		drawModeBtn?.classList.toggle('active', drawModeOpen);
+		applyDrawTool();
+		syncDrawToolbar(getActiveObject());
+	}
+
+	function setDrawTool(tool) {
+		drawSettings.tool = DRAW_TOOLS[tool] ? tool : 'pencil';
+		if (drawToolSelect) drawToolSelect.value = drawSettings.tool;
+		applyDrawTool();
+	}
+
+	// Brush strokes become drawing layers; eraser strokes are applied to the layers underneath and discarded
+	function onPathCreated(opt) {
+		const path = opt.path;
+		if (!path) return;
+		if (drawSettings.tool === 'eraser') {
+			fabricCanvas.remove(path);
+			eraseWithPath(path);
+			return;
+		}
+		const label = DRAW_TOOLS[drawSettings.tool] || 'Drawing';
+		path.set({ globalCompositeOperation: 'source-over', data: { kind: 'drawing', tool: drawSettings.tool, stickerId: label, blend: 'source-over' } });
+		pushHistory(`Draw (${label.toLowerCase()})`, []);
+	}
+
+	/* Shapes */
+	function starPoints(size, spikes = 5, inner = 0.45) {
+		const points = [];
+		for (let i = 0; i < spikes * 2; i++) {
+			const r = (i % 2 ? inner : 1) * size / 2;
+			const a = (Math.PI * i) / spikes - Math.PI / 2;
+			points.push({ x: Math.cos(a) * r, y: Math.sin(a) * r });
+		}
+		return points;
+	}
+
+	function speechBubblePath(w, h) {
+		const r = Math.min(w, h) * 0.2;
+		const b = h * 0.75; // body height; the rest is the tail
+		return `M ${r} 0 L ${w - r} 0 Q ${w} 0 ${w} ${r} L ${w} ${b - r} Q ${w} ${b} ${w - r} ${b} `
+			+ `L ${w * 0.4} ${b} L ${w * 0.2} ${h} L ${w * 0.25} ${b} L ${r} ${b} Q 0 ${b} 0 ${b - r} L 0 ${r} Q 0 0 ${r} 0 Z`;
+	}
+
+	// filled: false for outline-only shapes where a fill would make no sense
+	const SHAPES = {
+		rect: { label: 'Rectangle', filled: true, create: (size, style) => new fabric.Rect({ width: size, height: size * 0.75, ...style }) },
+		ellipse: { label: 'Ellipse', filled: true, create: (size, style) => new fabric.Ellipse({ rx: size / 2, ry: size * 0.375, ...style }) },
+		line: { label: 'Line', filled: false, create: (size, style) => new fabric.Line([0, 0, size, 0], { ...style, fill: null }) },
+		arrow: {
+			label: 'Arrow',
+			filled: false,
+			create: (size, style) => {
+				const head = size * 0.2;
+				return new fabric.Path(`M 0 ${head} L ${size} ${head} M ${size - head} 0 L ${size} ${head} L ${size - head} ${head * 2}`, { ...style, fill: null });
+			}
+		},
+		star: { label: 'Star', filled: true, create: (size, style) => new fabric.Polygon(starPoints(size), style) },
+		bubble: { label: 'Speech bubble', filled: true, create: (size, style) => new fabric.Path(speechBubblePath(size, size * 0.8), style) }
+	};
+
+	function isShapeLayer(obj) {
+		return !!obj && !!obj.data && (obj.data.kind === 'shape' || obj.data.kind === 'drawing');
+	}
+
+	function addShape(kind) {
+		const def = SHAPES[kind];
+		if (!def) return;
+		const size = Math.min(fabricCanvas.getWidth(), fabricCanvas.getHeight()) * 0.35;
+		const shape = def.create(size, {
+			fill: def.filled && drawSettings.filled ? drawSettings.fill : null,
+			stroke: drawSettings.stroke,
+			strokeWidth: drawSettings.width,
+			strokeLineCap: 'round',
+			strokeLineJoin: 'round',
+			// Keep the outline the chosen width however the shape is resized
+			strokeUniform: true,
+			globalCompositeOperation: 'source-over'
+		});
+		shape.set({ left: fabricCanvas.getWidth() / 2, top: fabricCanvas.getHeight() / 2, originX: 'center', originY: 'center' });
+		shape.set('data', { kind: 'shape', shape: kind, stickerId: def.label, blend: 'source-over' });
+		// Shapes are placed and then moved, so leave freehand drawing
+		if (fabricCanvas.isDrawingMode) setDrawTool('select');
+		fabricCanvas.add(shape);
+		fabricCanvas.setActiveObject(shape);
+		fabricCanvas.requestRenderAll();
+		pushHistory(`Add ${def.label.toLowerCase()}`, []);
+	}
+
+	// Restyles the selected shapes and drawings; spray drawings are groups of dots and only take a colour
+	function updateSelectedShapes(patch) {
+		const objs = getSelectedObjects().filter(isShapeLayer);
+		if (!objs.length) return false;
+		objs.forEach((o) => {
+			if (o.type === 'group') {
+				if (patch.stroke) o.getObjects().forEach((dot) => dot.set('fill', patch.stroke));
+				o.dirty = true;
+				return;
+			}
+			const def = SHAPES[o.data.shape];
+			const props = { ...patch };
+			if ('fill' in props && !(def && def.filled)) delete props.fill;
+			// Marker strokes keep the look createBrush gave them
+			if (o.data.tool === 'marker') {
+				if (props.stroke) props.stroke = new fabric.Color(props.stroke).setAlpha(0.5).toRgba();
+				if (props.strokeWidth) props.strokeWidth *= 2;
+			}
+			o.set(props);
+			o.setCoords();
+			layerThumbCache.delete(o);
+		});
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		return true;
+	}
+
+	const commitShapeStyle = debounceHistory('Shape style');
+
+	/* Eraser: strokes are kept as an inverted clip path on each layer, so erasing can be undone or restored */
+	function isErasable(obj) {
+		if (!obj || !obj.visible || isTextObject(obj)) return false;
+		if (obj.data && obj.data.locked) return false;
+		// Layers clipped for another reason are left alone
+		return !obj.clipPath || !!(obj.clipPath.data && obj.clipPath.data.eraser);
+	}
+
+	function addEraserStroke(obj, path) {
+		const stroke = new fabric.Path(path.path, {
+			left: path.left,
+			top: path.top,
+			originX: path.originX,
+			originY: path.originY,
+			fill: null,
+			stroke: '#000000',
+			strokeWidth: path.strokeWidth,
+			strokeLineCap: 'round',
+			strokeLineJoin: 'round'
+		});
+		// Into the layer's own coordinate space, so the erased area follows later moves and resizes
+		const toLayer = fabric.util.multiplyTransformMatrices(fabric.util.invertTransform(obj.calcTransformMatrix()), stroke.calcTransformMatrix());
+		fabric.util.applyTransformToObject(stroke, toLayer);
+		if (obj.clipPath) {
+			obj.clipPath.addWithUpdate(stroke);
+		} else {
+			obj.clipPath = new fabric.Group([stroke], { inverted: true, absolutePositioned: false, data: { eraser: true } });
+		}
+		obj.dirty = true;
+		layerThumbCache.delete(obj);
+	}
+
+	function eraseWithPath(path) {
+		path.setCoords();
+		const targets = fabricCanvas.getObjects().filter((o) => isErasable(o)
+			&& (o.intersectsWithObject(path, true, true) || path.isContainedWithinObject(o, true, true)));
+		if (!targets.length) return;
+		targets.forEach((o) => addEraserStroke(o, path));
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory(targets.length > 1 ? `Erase ${targets.length} layers` : `Erase ${getLayerName(targets[0])}`, targets);
+	}
+
+	function restoreErased() {
+		const objs = getSelectedObjects().filter((o) => o.clipPath && o.clipPath.data && o.clipPath.data.eraser);
+		if (!objs.length) return;
+		objs.forEach((o) => {
+			o.clipPath = null;
+			o.dirty = true;
+			layerThumbCache.delete(o);
+		});
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		syncDrawToolbar(getActiveObject());
+		pushHistory('Restore erased', objs);
+	}
+
+	function syncDrawToolbar(obj) {
+		const first = getSelectedObjects()[0];
+		const shapeSelected = isShapeLayer(first);
+		if (drawToolbar) drawToolbar.hidden = !drawModeOpen && !shapeSelected;
+		if (restoreErasedBtn) {
+			restoreErasedBtn.disabled = !getSelectedObjects().some((o) => o.clipPath && o.clipPath.data && o.clipPath.data.eraser);
+		}
+		if (!shapeSelected || first.type === 'group') return;
+		if (drawStrokeInput && typeof first.stroke === 'string') drawStrokeInput.value = toHexColor(first.stroke);
+		if (drawWidthRange) drawWidthRange.value = String((first.strokeWidth || 1) / (first.data.tool === 'marker' ? 2 : 1));
+		if (shapeFillToggle) shapeFillToggle.checked = !!first.fill;
+		if (shapeFillInput && typeof first.fill === 'string') shapeFillInput.value = toHexColor(first.fill);
+	}
+
+	function wireDrawToolbar() {
+		drawModeBtn?.addEventListener('click', toggleDrawMode);
+		drawToolSelect?.addEventListener('change', (e) => setDrawTool(e.target.value));
+		drawStrokeInput?.addEventListener('input', (e) => {
+			drawSettings.stroke = e.target.value;
+			if (updateSelectedShapes({ stroke: drawSettings.stroke })) commitShapeStyle();
+			if (fabricCanvas.isDrawingMode) applyDrawTool();
+		});
+		drawWidthRange?.addEventListener('input', (e) => {
+			drawSettings.width = parseInt(e.target.value, 10) || 1;
+			if (updateSelectedShapes({ strokeWidth: drawSettings.width })) commitShapeStyle();
+			if (fabricCanvas.isDrawingMode) applyDrawTool();
+		});
+		const applyFill = () => {
+			drawSettings.fill = shapeFillInput ? shapeFillInput.value : drawSettings.fill;
+			drawSettings.filled = shapeFillToggle ? shapeFillToggle.checked : true;
+			if (updateSelectedShapes({ fill: drawSettings.filled ? drawSettings.fill : null })) commitShapeStyle();
+		};
+		shapeFillInput?.addEventListener('input', applyFill);
+		shapeFillToggle?.addEventListener('change', applyFill);
+		drawToolbar?.querySelectorAll('[data-shape]').forEach((btn) => {
+			btn.addEventListener('click', () => addShape(btn.dataset.shape));
+		});
+		restoreErasedBtn?.addEventListener('click', restoreErased);
+		fabricCanvas.on('path:created', onPathCreated);
+	}
+
+	/** Layers Panel **/
+	const layerThumbCache = new WeakMap();
+	let layersRenderPending = false;
+	let draggedLayer = null;
+
+	function getLayerName(obj) {
+		const data = obj.data || {};
+		if (data.name) return data.name;
+		if (isTextObject(obj) && data.kind === 'text' && data.stickerId === 'Text') {
+			const text = (obj.text || '').replace(/\s+/g, ' ').trim();
+			return text.length > 24 ? `${text.slice(0, 24)}…` : text || 'Text';
+		}
+		return data.stickerName || data.stickerId || obj.type;
+	}
+
+	function getLayerThumb(obj) {
+		let thumb = layerThumbCache.get(obj);
+		if (thumb) return thumb;
+		const wasVisible = obj.visible;
+		obj.visible = true;
+		try {
+			const size = Math.max(obj.getScaledWidth(), obj.getScaledHeight()) || 1;
+			thumb = obj.toDataURL({ format: 'png', multiplier: 80 / size });
+		} catch {
+			thumb = '';
+		} finally {
+			obj.visible = wasVisible;
+		}
+		layerThumbCache.set(obj, thumb);
+		return thumb;
+	}
+
+	// Appearance changed without an object:modified event (flip, text styling)
+	function refreshLayerThumb(obj) {
+		layerThumbCache.delete(obj);
+		scheduleLayersRender();
+	}
+
+	function scheduleLayersRender() {
+		if (layersRenderPending) return;
+		layersRenderPending = true;
+		requestAnimationFrame(() => {
+			layersRenderPending = false;
+			renderLayersPanel();
+		});
+	}
+
+	function applyLockState(obj, locked) {
+		obj.data = { ...(obj.data || {}), locked };
+		obj.set({ selectable: !locked, evented: !locked });
+	}
+
+	function setLayerVisible(obj, visible) {
+		obj.set('visible', visible);
+		if (!visible && fabricCanvas.getActiveObjects().includes(obj)) fabricCanvas.discardActiveObject();
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory(visible ? 'Show layer' : 'Hide layer', [obj]);
+	}
+
+	function setLayerLocked(obj, locked) {
+		applyLockState(obj, locked);
+		if (locked && fabricCanvas.getActiveObjects().includes(obj)) fabricCanvas.discardActiveObject();
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory(locked ? 'Lock layer' : 'Unlock layer', [obj]);
+	}
+
+	function renameLayer(obj, name) {
+		obj.data = { ...(obj.data || {}), name: name.trim() || undefined };
+		scheduleLayersRender();
+		pushHistory('Rename layer', [obj]);
+	}
+
+	function startLayerRename(obj, label) {
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.className = 'layer-rename';
+		input.value = getLayerName(obj);
+		label.replaceWith(input);
+		input.focus();
+		input.select();
+		let done = false;
+		const finish = (commit) => {
+			if (done) return;
+			done = true;
+			if (commit && input.value.trim() !== getLayerName(obj)) renameLayer(obj, input.value);
+			else scheduleLayersRender();
+		};
+		input.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') finish(true);
+			if (e.key === 'Escape') finish(false);
+			e.stopPropagation();
+		});
+		input.addEventListener('blur', () => finish(true));
+	}
+
+	function moveLayerTo(obj, index) {
+		obj.moveTo(index);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory('Reorder layers', []);
+	}
+
+	function renderLayersPanel() {
+		if (!layersList || !fabricCanvas) return;
+		const objects = fabricCanvas.getObjects();
+		const active = fabricCanvas.getActiveObjects();
+		layersList.innerHTML = '';
+		if (!objects.length) {
+			const empty = document.createElement('li');
+			empty.className = 'layers-empty';
+			empty.textContent = 'No layers yet';
+			layersList.appendChild(empty);
+			return;
+		}
+		// Top-most layer first, like every other layers panel
+		for (let i = objects.length - 1; i >= 0; i--) {
+			const obj = objects[i];
+			const locked = !!(obj.data && obj.data.locked);
+			const row = document.createElement('li');
+			row.className = 'layer-row';
+			row.classList.toggle('active', active.includes(obj));
+			row.classList.toggle('is-hidden', !obj.visible);
+			row.classList.toggle('is-locked', locked);
+			row.draggable = true;
+
+			const thumb = document.createElement('img');
+			thumb.className = 'layer-thumb';
+			thumb.alt = '';
+			thumb.src = getLayerThumb(obj);
+
+			const label = document.createElement('span');
+			label.className = 'layer-name';
+			label.textContent = getLayerName(obj);
+			label.title = 'Double-click to rename';
+			label.ondblclick = (e) => {
+				e.stopPropagation();
+				startLayerRename(obj, label);
+			};
+
+			const visBtn = document.createElement('button');
+			visBtn.className = 'layer-btn';
+			visBtn.title = obj.visible ? 'Hide layer' : 'Show layer';
+			visBtn.textContent = obj.visible ? '👁' : '◌';
+			visBtn.onclick = (e) => {
+				e.stopPropagation();
+				setLayerVisible(obj, !obj.visible);
+			};
+
+			const lockBtn = document.createElement('button');
+			lockBtn.className = 'layer-btn';
+			lockBtn.title = locked ? 'Unlock layer' : 'Lock layer';
+			lockBtn.textContent = locked ? '🔒' : '🔓';
+			lockBtn.onclick = (e) => {
+				e.stopPropagation();
+				setLayerLocked(obj, !locked);
+			};
+
+			row.onclick = (e) => {
+				if (locked || !obj.visible) return;
+				// Shift/Ctrl-click builds a multi-selection like on the canvas
+				const current = getSelectedObjects();
+				if ((e.shiftKey || e.ctrlKey || e.metaKey) && current.length && !current.includes(obj)) {
+					fabricCanvas.discardActiveObject();
+					fabricCanvas.setActiveObject(new fabric.ActiveSelection([...current, obj], { canvas: fabricCanvas }));
+				} else {
+					fabricCanvas.setActiveObject(obj);
+				}
+				fabricCanvas.requestRenderAll();
+			};
+			row.ondragstart = (e) => {
+				draggedLayer = obj;
+				e.dataTransfer.effectAllowed = 'move';
+				e.dataTransfer.setData('application/x-mmga-layer', String(i));
+			};
+			row.ondragover = (e) => {
+				if (!draggedLayer) return;
+				e.preventDefault();
+				row.classList.add('drop-target');
+			};
+			row.ondragleave = () => row.classList.remove('drop-target');
+			row.ondrop = (e) => {
+				e.preventDefault();
+				row.classList.remove('drop-target');
+				if (draggedLayer && draggedLayer !== obj) moveLayerTo(draggedLayer, i);
+				draggedLayer = null;
+			};
+			row.ondragend = () => { draggedLayer = null; };
+
+			row.append(thumb, label, visBtn, lockBtn);
+			layersList.appendChild(row);
+		}
+	}
+
+	/** Sticker Tint **/
+	const DEFAULT_TINT = { color: '#0a3161', mode: 'tint', alpha: 0.6, hue: 0, saturation: 0 };
+
+	function canTint(obj) {
+		return !!obj && obj.type === 'image' && !!(obj.data && obj.data.allowTint);
+	}
+
+	// Filters only touch RGB, so the sticker's alpha mask is preserved
+	function buildTintFilters(tint) {
+		if (!tint) return [];
+		const filters = [];
+		if (tint.hue) filters.push(new fabric.Image.filters.HueRotation({ rotation: tint.hue }));
+		if (tint.saturation) filters.push(new fabric.Image.filters.Saturation({ saturation: tint.saturation }));
+		if (tint.alpha > 0) filters.push(new fabric.Image.filters.BlendColor({ color: tint.color, mode: tint.mode, alpha: tint.alpha }));
+		return filters;
+	}
+
+	// Rebuilds the filter chain from the parameters stored in obj.data (tint first, then adjustments)
+	function applyLayerFilters(obj) {
+		if (!obj || obj.type !== 'image') return;
+		const data = obj.data || {};
+		obj.filters = [...buildTintFilters(data.tint), ...buildAdjustFilters(data.adjust)];
+		obj.applyFilters();
+		fabricCanvas.requestRenderAll();
+		refreshLayerThumb(obj);
+	}
+
+	function updateActiveTint(patch) {
+		const obj = getActiveObject();
+		if (!canTint(obj)) return;
+		obj.data.tint = { ...DEFAULT_TINT, ...(obj.data.tint || {}), ...patch };
+		applyLayerFilters(obj);
+	}
+
+	function resetActiveTint() {
+		const obj = getActiveObject();
+		if (!canTint(obj)) return;
+		delete obj.data.tint;
+		applyLayerFilters(obj);
+		syncTintToolbar(obj);
+		pushHistory('Remove tint', [obj]);
+	}
+
+	function syncTintToolbar(obj) {
+		const tintable = canTint(obj);
+		if (tintToolbar) tintToolbar.hidden = !tintable;
+		if (!tintable) return;
+		const tint = { ...DEFAULT_TINT, ...(obj.data.tint || {}) };
+		if (tintColorInput) tintColorInput.value = tint.color;
+		if (tintModeSelect) tintModeSelect.value = tint.mode;
+		if (tintStrengthRange) tintStrengthRange.value = String(obj.data.tint ? tint.alpha : 0);
+		if (tintHueRange) tintHueRange.value = String(tint.hue);
+		if (tintSaturationRange) tintSaturationRange.value = String(tint.saturation);
+	}
+
+	const commitTintChange = debounceHistory('Tint');
+
+	function wireTintToolbar() {
+		tintColorInput?.addEventListener('input', (e) => {
+			const obj = getActiveObject();
+			// Picking a colour on an untinted sticker should show it immediately
+			const alpha = canTint(obj) && !obj.data.tint ? DEFAULT_TINT.alpha : undefined;
+			updateActiveTint(alpha == null ? { color: e.target.value } : { color: e.target.value, alpha });
+			if (alpha != null && tintStrengthRange) tintStrengthRange.value = String(alpha);
+			commitTintChange();
+		});
+		tintModeSelect?.addEventListener('change', (e) => {
+			updateActiveTint({ mode: e.target.value });
+			commitTintChange();
+		});
+		tintStrengthRange?.addEventListener('input', (e) => {
+			updateActiveTint({ alpha: parseFloat(e.target.value) || 0 });
+			commitTintChange();
+		});
+		tintHueRange?.addEventListener('input', (e) => {
+			updateActiveTint({ hue: parseFloat(e.target.value) || 0 });
+			commitTintChange();
+		});
+		tintSaturationRange?.addEventListener('input', (e) => {
+			updateActiveTint({ saturation: parseFloat(e.target.value) || 0 });
+			commitTintChange();
+		});
+		tintResetBtn?.addEventListener('click', resetActiveTint);
+	}
+
+	/** Layer Adjustments **/
+	const DEFAULT_ADJUST = { brightness: 0, contrast: 0, saturation: 0, blur: 0 };
+	const DEFAULT_SHADOW = { color: '#000000', blur: 12 };
+
+	function buildAdjustFilters(adjust) {
+		if (!adjust) return [];
+		const f = fabric.Image.filters;
+		const filters = [];
+		if (adjust.brightness) filters.push(new f.Brightness({ brightness: adjust.brightness }));
+		if (adjust.contrast) filters.push(new f.Contrast({ contrast: adjust.contrast }));
+		if (adjust.saturation) filters.push(new f.Saturation({ saturation: adjust.saturation }));
+		if (adjust.blur) filters.push(new f.Blur({ blur: adjust.blur }));
+		return filters;
+	}
+
+	function makeDropShadow({ color, blur }) {
+		const offset = Math.round(blur / 2);
+		return new fabric.Shadow({ color, blur, offsetX: offset, offsetY: offset });
+	}
+
+	function updateActiveAdjust(patch) {
+		const obj = getActiveObject();
+		if (!obj || obj.type !== 'image') return;
+		obj.data = obj.data || {};
+		obj.data.adjust = { ...DEFAULT_ADJUST, ...(obj.data.adjust || {}), ...patch };
+		applyLayerFilters(obj);
+	}
+
+	function updateActiveShadow() {
+		const obj = getActiveObject();
+		if (!obj || obj.type === 'activeSelection') return;
+		const enabled = !!(adjustShadowToggle && adjustShadowToggle.checked);
+		obj.set('shadow', enabled ? makeDropShadow({
+			color: adjustShadowColorInput ? adjustShadowColorInput.value : DEFAULT_SHADOW.color,
+			blur: adjustShadowBlurRange ? parseFloat(adjustShadowBlurRange.value) : DEFAULT_SHADOW.blur
+		}) : null);
+		fabricCanvas.requestRenderAll();
+		refreshLayerThumb(obj);
+		if (textShadowToggle && isTextObject(obj)) textShadowToggle.checked = enabled;
+	}
+
+	function resetActiveAdjust() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		if (obj.type === 'image' && obj.data) {
+			delete obj.data.adjust;
+			applyLayerFilters(obj);
+		}
+		obj.set('shadow', null);
+		fabricCanvas.requestRenderAll();
+		refreshLayerThumb(obj);
+		syncToolbarToSelection();
+		pushHistory('Reset adjustments', [obj]);
+	}
+
+	function syncAdjustToolbar(obj) {
+		const show = !!obj && obj.type !== 'activeSelection';
+		if (adjustToolbar) adjustToolbar.hidden = !show;
+		if (!show) return;
+		const isImage = obj.type === 'image';
+		const adjust = { ...DEFAULT_ADJUST, ...((obj.data && obj.data.adjust) || {}) };
+		[[adjustBrightnessRange, adjust.brightness], [adjustContrastRange, adjust.contrast],
+			[adjustSaturationRange, adjust.saturation], [adjustBlurRange, adjust.blur]].forEach(([input, value]) => {
+			if (!input) return;
+			input.value = String(value);
+			input.disabled = !isImage;
+		});
+		if (adjustShadowToggle) adjustShadowToggle.checked = !!obj.shadow;
+		if (obj.shadow) {
+			if (adjustShadowColorInput) adjustShadowColorInput.value = toHexColor(obj.shadow.color);
+			if (adjustShadowBlurRange) adjustShadowBlurRange.value = String(obj.shadow.blur);
+		}
+	}
+
+	const commitAdjustChange = debounceHistory('Adjust');
+
+	function wireAdjustToolbar() {
+		[[adjustBrightnessRange, 'brightness'], [adjustContrastRange, 'contrast'],
+			[adjustSaturationRange, 'saturation'], [adjustBlurRange, 'blur']].forEach(([input, key]) => {
+			input?.addEventListener('input', (e) => {
+				updateActiveAdjust({ [key]: parseFloat(e.target.value) || 0 });
+				commitAdjustChange();
+			});
+		});
+		[adjustShadowToggle, adjustShadowColorInput, adjustShadowBlurRange].forEach((input) => {
+			input?.addEventListener('input', () => {
+				if (input !== adjustShadowToggle && adjustShadowToggle) adjustShadowToggle.checked = true;
+				updateActiveShadow();
+				commitAdjustChange();
+			});
+		});
+		adjustResetBtn?.addEventListener('click', resetActiveAdjust);
+	}
+
+	/** Animation **/
+	const ANIMATED_TYPES = ['image/gif', 'image/png', 'image/webp'];
+	const maxAnimationFrames = 300;
+	// Loop length of each layer motion in ms
+	const MOTION_PERIODS = { spin: 3000, bounce: 1000, pulse: 1200, fall: 2400 };
+	let animationTime = 0; // ms; drives sticker frames and layer motions
+	let animationStart = 0;
+	let animationRaf = null;
+	let animationPaused = false; // animated export drives the clock itself
+
+	function mayBeAnimated(item) {
+		return !!item.animated || /\.(gif|webp|apng)(\?|$)/i.test(item.src) || /^data:image\/(gif|webp|apng)/i.test(item.src);
+	}
+
+	function imageDecoderType(blob) {
+		const type = blob.type === 'image/apng' ? 'image/png' : blob.type;
+		return typeof window.ImageDecoder === 'function' && ANIMATED_TYPES.includes(type) ? type : null;
+	}
+
+	async function isAnimatedImage(blob) {
+		const type = imageDecoderType(blob);
+		if (!type) return false;
+		let decoder = null;
+		try {
+			if (!(await window.ImageDecoder.isTypeSupported(type))) return false;
+			decoder = new window.ImageDecoder({ data: await blob.arrayBuffer(), type });
+			await decoder.tracks.ready;
+			return !!(decoder.tracks.selectedTrack && decoder.tracks.selectedTrack.animated);
+		} catch (e) {
+			return false;
+		} finally {
+			if (decoder) decoder.close();
+		}
+	}
+
+	// Decodes every composited frame of an animated GIF/APNG/WebP; null for stills or when WebCodecs is missing
+	async function decodeAnimatedFrames(blob) {
+		const type = imageDecoderType(blob);
+		if (!type || !(await window.ImageDecoder.isTypeSupported(type))) return null;
+		const decoder = new window.ImageDecoder({ data: await blob.arrayBuffer(), type });
+		try {
+			await decoder.tracks.ready;
+			const track = decoder.tracks.selectedTrack;
+			if (!track || !track.animated) return null;
+			await decoder.completed;
+			const count = Math.min(track.frameCount, maxAnimationFrames);
+			if (count < 2) return null;
+			const frames = [];
+			for (let i = 0; i < count; i++) {
+				const { image } = await decoder.decode({ frameIndex: i });
+				// VideoFrame durations are in microseconds; GIFs with no delay play at 10fps like browsers do
+				const duration = image.duration ? Math.max(20, image.duration / 1000) : 100;
+				frames.push({ bitmap: await createImageBitmap(image), duration });
+				image.close();
+			}
+			return frames;
+		} finally {
+			decoder.close();
+		}
+	}
+
+	// Swaps the layer's static bitmap for a canvas that the animation loop repaints frame by frame
+	async function attachAnimation(obj) {
+		if (obj._anim) return;
+		obj._anim = { loading: true };
+		try {
+			const blob = await (await fetch(obj.data.animSrc)).blob();
+			const frames = await decodeAnimatedFrames(blob);
+			if (!frames) {
+				// A still image: stop probing it on every reload
+				delete obj.data.animSrc;
+				obj._anim = null;
+				return;
+			}
+			const canvas = document.createElement('canvas');
+			canvas.width = frames[0].bitmap.width;
+			canvas.height = frames[0].bitmap.height;
+			obj._anim = { frames, canvas, total: frames.reduce((sum, f) => sum + f.duration, 0), index: -1 };
+			obj.setElement(canvas);
+			// Serialize the animated original rather than whichever frame happens to be showing
+			obj.getSrc = () => obj.data.animSrc;
+			drawSpriteFrame(obj, animationTime, true);
+			fabricCanvas.requestRenderAll();
+			startAnimationLoop();
+		} catch (e) {
+			console.warn('Could not decode animated sticker:', e);
+			obj._anim = null;
+		}
+	}
+
+	// Paints the frame due at time into the layer's canvas; returns whether anything changed
+	function drawSpriteFrame(obj, time, force = false) {
+		const anim = obj._anim;
+		if (!anim || !anim.frames) return false;
+		let t = time % anim.total;
+		let index = 0;
+		while (index < anim.frames.length - 1 && t >= anim.frames[index].duration) {
+			t -= anim.frames[index].duration;
+			index++;
+		}
+		if (index === anim.index && !force) return false;
+		anim.index = index;
+		const ctx = anim.canvas.getContext('2d');
+		ctx.clearRect(0, 0, anim.canvas.width, anim.canvas.height);
+		ctx.drawImage(anim.frames[index].bitmap, 0, 0);
+		// Tint/adjust filters render from the original element, so re-run them on the new frame
+		if (obj.filters && obj.filters.length) obj.applyFilters();
+		obj.dirty = true;
+		return true;
+	}
+
+	function easeOutBounce(p) {
+		if (p < 1 / 2.75) return 7.5625 * p * p;
+		if (p < 2 / 2.75) return 7.5625 * (p -= 1.5 / 2.75) * p + 0.75;
+		if (p < 2.5 / 2.75) return 7.5625 * (p -= 2.25 / 2.75) * p + 0.9375;
+		return 7.5625 * (p -= 2.625 / 2.75) * p + 0.984375;
+	}
+
+	// Offset (in the object's own canvas units), extra rotation and scale of a layer motion at time
+	function getMotionState(obj, time) {
+		const type = obj.data.motion;
+		const period = MOTION_PERIODS[type];
+		if (!period) return null;
+		const p = (time % period) / period;
+		const h = obj.getScaledHeight();
+		const state = { dx: 0, dy: 0, angle: 0, scale: 1 };
+		if (type === 'spin') state.angle = p * 360;
+		if (type === 'bounce') state.dy = -Math.abs(Math.sin(p * Math.PI)) * h * 0.25;
+		if (type === 'pulse') state.scale = 1 + 0.08 * Math.sin(p * Math.PI * 2);
+		if (type === 'fall') {
+			// Drop in from above the frame, bounce on landing, then rest like the landing-page hat rain
+			const drop = Math.min(1, p / 0.55);
+			const fallDistance = obj.getCenterPoint().y + h;
+			state.dy = -(1 - easeOutBounce(drop)) * fallDistance;
+			state.angle = (1 - Math.min(1, drop * 1.5)) * -20;
+		}
+		return state;
+	}
+
+	// Moves layers into their motion pose for one render of canvas and back afterwards, so saved transforms
+	// never change; only canvases given this hook animate (the live one and the animated export's scene)
+	function attachMotionRendering(canvas) {
+		let resting = [];
+		canvas.on('before:render', () => {
+			forEachLayerDeep((o) => {
+				const motion = o.data && o.data.motion ? getMotionState(o, animationTime) : null;
+				if (!motion) return;
+				const c = o.getCenterPoint();
+				resting.push({ o, left: o.left, top: o.top, angle: o.angle, scaleX: o.scaleX, scaleY: o.scaleY });
+				o.angle = (o.angle || 0) + motion.angle;
+				o.scaleX *= motion.scale;
+				o.scaleY *= motion.scale;
+				o.setPositionByOrigin(new fabric.Point(c.x + motion.dx, c.y + motion.dy), 'center', 'center');
+				if (o.group) o.group.dirty = true;
+			}, canvas.getObjects());
+		});
+		canvas.on('after:render', () => {
+			resting.forEach(({ o, ...rest }) => {
+				Object.assign(o, rest);
+				if (o.group) o.group.dirty = true;
+			});
+			resting = [];
+		});
+	}
+
+	// Visits every layer including the members of groups
+	function forEachLayerDeep(fn, objects = fabricCanvas.getObjects()) {
+		objects.forEach((o) => {
+			fn(o);
+			if (o.type === 'group') forEachLayerDeep(fn, o.getObjects());
+		});
+	}
+
+	function hasAnimations() {
+		let found = false;
+		forEachLayerDeep((o) => {
+			if ((o._anim && o._anim.frames) || (o.data && o.data.motion)) found = true;
+		});
+		return found;
+	}
+
+	// Natural loop length for export: the longest sticker or motion cycle, capped at 10s
+	function getAnimationLoopLength() {
+		let longest = 0;
+		forEachLayerDeep((o) => {
+			if (o._anim && o._anim.frames) longest = Math.max(longest, o._anim.total);
+			if (o.data && MOTION_PERIODS[o.data.motion]) longest = Math.max(longest, MOTION_PERIODS[o.data.motion]);
+		});
+		return Math.min(10000, longest || 2000);
+	}
+
+	function startAnimationLoop() {
+		if (animationRaf) return;
+		if (!animationStart) animationStart = performance.now();
+		const tick = (now) => {
+			animationRaf = null;
+			if (!hasAnimations()) return;
+			if (!animationPaused) {
+				animationTime = now - animationStart;
+				forEachLayerDeep((o) => {
+					// Groups cache their members; repaint them when a member's frame changes
+					if (drawSpriteFrame(o, animationTime) && o.group) o.group.dirty = true;
+				});
+				fabricCanvas.requestRenderAll();
+			}
+			animationRaf = requestAnimationFrame(tick);
+		};
+		animationRaf = requestAnimationFrame(tick);
+	}
+
+	function setMotion(type) {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		objs.forEach((obj) => {
+			obj.data = obj.data || {};
+			if (MOTION_PERIODS[type]) obj.data.motion = type;
+			else delete obj.data.motion;
+		});
+		startAnimationLoop();
+		fabricCanvas.requestRenderAll();
+		pushHistory('Motion', objs);
+	}
+
+	/** Toolbar Actions **/
+	function getActiveObject() {
+		return fabricCanvas.getActiveObject();
+	}
+
+	// The layers a toolbar action applies to: the members of a multi-selection, or the single active layer
+	function getSelectedObjects() {
+		const obj = getActiveObject();
+		if (!obj) return [];
+		return obj.type === 'activeSelection' ? obj.getObjects().slice() : [obj];
+	}
+
+	function syncToolbarToSelection() {
+		const obj = getActiveObject();
+		// A multi-selection shows the values of its first member
+		const first = getSelectedObjects()[0];
+		if (first) {
+			if (opacityRange) opacityRange.value = String(first.opacity == null ? 1 : first.opacity);
+			if (blendModeSelect) blendModeSelect.value = first.globalCompositeOperation || 'source-over';
+			if (motionSelect) motionSelect.value = (first.data && first.data.motion) || 'none';
+		}
+		syncTextToolbar(obj);
+		syncTintToolbar(obj);
+		syncAdjustToolbar(obj);
+		syncArrangeToolbar(obj);
+		syncDrawToolbar(obj);
+		scheduleInspectorSync();
+	}
+
+	function bringForward() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		fabricCanvas.bringForward(obj, true);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory('Bring forward', []);
+	}
+
+	function sendBackward() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		fabricCanvas.sendBackwards(obj, true);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory('Send backward', []);
+	}
+
+	function bringToFront() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		fabricCanvas.bringToFront(obj);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory('Bring to front', []);
+	}
+
+	function sendToBack() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		fabricCanvas.sendToBack(obj);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory('Send to back', []);
+	}
+
+	// Each selected layer flips in place
+	function flipHorizontal() {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		objs.forEach((o) => {
+			o.set('flipX', !o.flipX);
+			refreshLayerThumb(o);
+		});
+		fabricCanvas.requestRenderAll();
+		pushHistory('Flip horizontal', objs);
+	}
+
+	function flipVertical() {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		objs.forEach((o) => {
+			o.set('flipY', !o.flipY);
+			refreshLayerThumb(o);
+		});
+		fabricCanvas.requestRenderAll();
+		pushHistory('Flip vertical', objs);
+	}
+
+	function deleteSelected() {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		fabricCanvas.discardActiveObject();
+		fabricCanvas.remove(...objs);
+		fabricCanvas.requestRenderAll();
+		pushHistory(objs.length > 1 ? `Delete ${objs.length} layers` : `Delete ${getLayerName(objs[0])}`, []);
+	}
+
+	function duplicateSelection() {
+		const obj = getActiveObject();
+		if (!obj) return;
+		obj.clone((cloned) => {
+			cloned.set({ left: (obj.left || 0) + 20, top: (obj.top || 0) + 20 });
+			if (cloned.type === 'activeSelection') {
+				// The clone arrives as a selection; add its members as real layers
+				cloned.canvas = fabricCanvas;
+				cloned.forEachObject((o) => fabricCanvas.add(o));
+				cloned.setCoords();
+			} else {
+				fabricCanvas.add(cloned);
+			}
+			fabricCanvas.setActiveObject(cloned);
+			fabricCanvas.requestRenderAll();
+			pushHistory('Duplicate', []);
+		});
+	}
+
+	function setOpacity(val) {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		const opacity = parseFloat(val);
+		objs.forEach((o) => o.set('opacity', clamp(Number.isNaN(opacity) ? 1 : opacity, 0, 1)));
+		fabricCanvas.requestRenderAll();
+		commitOpacityChange();
+	}
+
+	const commitOpacityChange = debounceHistory('Opacity');
+	const commitNudge = debounceHistory('Nudge');
+
+	function setBlendMode(val) {
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		objs.forEach((o) => {
+			o.set('globalCompositeOperation', val);
+			if (o.data) o.data.blend = val;
+		});
+		fabricCanvas.requestRenderAll();
+		pushHistory('Blend mode', objs);
+	}
+
+	/** Arrange (align, distribute, match size, groups) **/
+	// Members of an active selection are positioned relative to it; edit them detached, then reselect
+	function editSelection(label, fn) {
+		const active = getActiveObject();
+		const objs = getSelectedObjects();
+		if (!objs.length) return;
+		fabricCanvas.discardActiveObject();
+		fn(objs);
+		objs.forEach((o) => o.setCoords());
+		fabricCanvas.setActiveObject(active.type === 'activeSelection'
+			? new fabric.ActiveSelection(objs, { canvas: fabricCanvas })
+			: objs[0]);
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		pushHistory(label, objs);
+	}
+
+	function getLayerBounds(o) {
+		return o.getBoundingRect(true, true);
+	}
+
+	function unionBounds(rects) {
+		const left = Math.min(...rects.map((r) => r.left));
+		const top = Math.min(...rects.map((r) => r.top));
+		const right = Math.max(...rects.map((r) => r.left + r.width));
+		const bottom = Math.max(...rects.map((r) => r.top + r.height));
+		return { left, top, width: right - left, height: bottom - top };
+	}
+
+	// A single layer aligns to the canvas; several align to their combined bounds
+	function alignSelection(edge) {
+		editSelection(`Align ${edge}`, (objs) => {
+			const frame = objs.length > 1
+				? unionBounds(objs.map(getLayerBounds))
+				: { left: 0, top: 0, width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() };
+			objs.forEach((o) => {
+				const r = getLayerBounds(o);
+				if (edge === 'left') o.left += frame.left - r.left;
+				if (edge === 'center') o.left += frame.left + (frame.width - r.width) / 2 - r.left;
+				if (edge === 'right') o.left += frame.left + frame.width - (r.left + r.width);
+				if (edge === 'top') o.top += frame.top - r.top;
+				if (edge === 'middle') o.top += frame.top + (frame.height - r.height) / 2 - r.top;
+				if (edge === 'bottom') o.top += frame.top + frame.height - (r.top + r.height);
+			});
+		});
+	}
+
+	// Equal gaps between layers, keeping the outermost two in place
+	function distributeSelection(axis) {
+		if (getSelectedObjects().length < 3) {
+			showNotification('Select at least three layers to distribute', 'info');
+			return;
+		}
+		const pos = axis === 'horizontal' ? 'left' : 'top';
+		const size = axis === 'horizontal' ? 'width' : 'height';
+		editSelection('Distribute', (objs) => {
+			const items = objs.map((o) => ({ o, r: getLayerBounds(o) })).sort((a, b) => a.r[pos] - b.r[pos]);
+			const first = items[0].r;
+			const last = items[items.length - 1].r;
+			const used = items.reduce((sum, it) => sum + it.r[size], 0);
+			const gap = (last[pos] + last[size] - first[pos] - used) / (items.length - 1);
+			let cursor = first[pos];
+			items.forEach(({ o, r }) => {
+				o[pos] += cursor - r[pos];
+				cursor += r[size] + gap;
+			});
+		});
+	}
+
+	// Scales every other layer uniformly so its width (or height) matches the first selected layer
+	function matchSelectionSize(dimension) {
+		if (getSelectedObjects().length < 2) {
+			showNotification('Select at least two layers to match sizes', 'info');
+			return;
+		}
+		editSelection(`Match ${dimension}`, (objs) => {
+			const target = dimension === 'width' ? objs[0].getScaledWidth() : objs[0].getScaledHeight();
+			objs.slice(1).forEach((o) => {
+				const current = dimension === 'width' ? o.getScaledWidth() : o.getScaledHeight();
+				if (!current) return;
+				const factor = target / current;
+				const center = o.getCenterPoint();
+				o.set({ scaleX: o.scaleX * factor, scaleY: o.scaleY * factor });
+				o.setPositionByOrigin(center, 'center', 'center');
+			});
+		});
+	}
+
+	function groupSelection() {
+		const active = getActiveObject();
+		if (!active || active.type !== 'activeSelection') return;
+		const group = active.toGroup();
+		group.set('data', { stickerId: 'Group', kind: 'group' });
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		syncToolbarToSelection();
+		pushHistory('Group', []);
+	}
+
+	function ungroupSelection() {
+		const active = getActiveObject();
+		if (!active || active.type !== 'group') return;
+		active.toActiveSelection();
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		syncToolbarToSelection();
+		pushHistory('Ungroup', []);
+	}
+
+	function syncArrangeToolbar(obj) {
+		if (!arrangeToolbar) return;
+		arrangeToolbar.hidden = !obj;
+		if (!obj) return;
+		const count = getSelectedObjects().length;
+		arrangeToolbar.querySelectorAll('[data-distribute]').forEach((btn) => { btn.disabled = count < 3; });
+		arrangeToolbar.querySelectorAll('[data-match]').forEach((btn) => { btn.disabled = count < 2; });
+		if (groupBtn) groupBtn.hidden = obj.type !== 'activeSelection';
+		if (ungroupBtn) ungroupBtn.hidden = obj.type !== 'group';
+	}
+
+	function wireArrangeToolbar() {
+		if (!arrangeToolbar) return;
+		arrangeToolbar.querySelectorAll('[data-align]').forEach((btn) => {
+			btn.addEventListener('click', () => alignSelection(btn.dataset.align));
+		});
+		arrangeToolbar.querySelectorAll('[data-distribute]').forEach((btn) => {
+			btn.addEventListener('click', () => distributeSelection(btn.dataset.distribute));
+		});
+		arrangeToolbar.querySelectorAll('[data-match]').forEach((btn) => {
+			btn.addEventListener('click', () => matchSelectionSize(btn.dataset.match));
+		});
+		groupBtn?.addEventListener('click', groupSelection);
+		ungroupBtn?.addEventListener('click', ungroupSelection);
+	}
+
+	/** Transform Inspector **/
+	// Fields are in document pixels, the units of the exported image, not preview pixels
+	function getDocumentScale() {
+		return getDocumentSize().width / (fabricCanvas.getWidth() || 1);
+	}
+
+	function isAspectLocked(obj) {
+		return !!(obj && obj.data && obj.data.lockAspect);
+	}
+
+	// X/Y are the layer's own top-left corner, which follows its rotation
+	function readTransform(obj) {
+		const k = getDocumentScale();
+		const corner = obj.translateToOriginPoint(obj.getCenterPoint(), 'left', 'top');
+		return {
+			x: corner.x * k,
+			y: corner.y * k,
+			width: obj.width * Math.abs(obj.scaleX) * k,
+			height: obj.height * Math.abs(obj.scaleY) * k,
+			scale: Math.abs(obj.scaleX) * 100,
+			angle: obj.angle || 0,
+			skewX: obj.skewX || 0,
+			skewY: obj.skewY || 0
+		};
+	}
+
+	function syncInspector() {
+		const obj = getActiveObject();
+		if (inspectorPanel) inspectorPanel.hidden = !obj;
+		// Corner drags follow the layer's lock; Shift still toggles it
+		fabricCanvas.uniformScaling = isAspectLocked(obj);
+		if (!obj || !inspectorPanel) return;
+		const values = readTransform(obj);
+		inspectorPanel.querySelectorAll('[data-inspect]').forEach((input) => {
+			// Leave the field being typed into alone
+			if (input === document.activeElement) return;
+			input.value = String(Math.round(values[input.dataset.inspect] * 10) / 10);
+		});
+		const first = getSelectedObjects()[0];
+		if (inspectorLockAspect) {
+			inspectorLockAspect.checked = isAspectLocked(obj);
+			inspectorLockAspect.disabled = obj.type === 'activeSelection';
+		}
+		if (inspectorFlipX) inspectorFlipX.checked = !!(first && first.flipX);
+		if (inspectorFlipY) inspectorFlipY.checked = !!(first && first.flipY);
+	}
+
+	let inspectorSyncPending = false;
+	function scheduleInspectorSync() {
+		if (inspectorSyncPending) return;
+		inspectorSyncPending = true;
+		requestAnimationFrame(() => {
+			inspectorSyncPending = false;
+			syncInspector();
+		});
+	}
+
+	const commitInspectorEdit = debounceHistory('Transform');
+
+	function applyInspectorField(key, value) {
+		const obj = getActiveObject();
+		if (!obj || !Number.isFinite(value)) return;
+		const k = getDocumentScale();
+		const corner = obj.translateToOriginPoint(obj.getCenterPoint(), 'left', 'top');
+		// Rescale both axes by ratio (or just one when the aspect is free), growing from the top-left corner
+		const rescale = (axis, ratio) => {
+			if (axis !== 'y' || isAspectLocked(obj)) obj.set('scaleX', obj.scaleX * ratio);
+			if (axis !== 'x' || isAspectLocked(obj)) obj.set('scaleY', obj.scaleY * ratio);
+			obj.setPositionByOrigin(corner, 'left', 'top');
+		};
+		switch (key) {
+			case 'x':
+				obj.setPositionByOrigin(new fabric.Point(value / k, corner.y), 'left', 'top');
+				break;
+			case 'y':
+				obj.setPositionByOrigin(new fabric.Point(corner.x, value / k), 'left', 'top');
+				break;
+			case 'width':
+				if (value >= 1) rescale('x', value / k / (obj.width * Math.abs(obj.scaleX)));
+				break;
+			case 'height':
+				if (value >= 1) rescale('y', value / k / (obj.height * Math.abs(obj.scaleY)));
+				break;
+			case 'scale':
+				if (value > 0) rescale('both', value / 100 / Math.abs(obj.scaleX));
+				break;
+			case 'angle':
+				obj.rotate(((value % 360) + 360) % 360);
+				break;
+			case 'skewX':
+			case 'skewY':
+				obj.set(key, clamp(value, -80, 80));
+				obj.setPositionByOrigin(corner, 'left', 'top');
+				break;
+			default:
+				return;
+		}
+		obj.setCoords();
+		fabricCanvas.requestRenderAll();
+		commitInspectorEdit();
+	}
+
+	function setAspectLocked(locked) {
+		const obj = getActiveObject();
+		if (!obj || obj.type === 'activeSelection') return;
+		obj.data = { ...(obj.data || {}), lockAspect: locked };
+		fabricCanvas.uniformScaling = locked;
+		pushHistory(locked ? 'Lock aspect' : 'Unlock aspect', [obj]);
+	}
+
+	// Clears rotation, skew and flips and evens out a stretched scale, keeping each layer's centre
+	function resetTransform() {
+		editSelection('Reset transform', (objs) => {
+			objs.forEach((o) => {
+				const center = o.getCenterPoint();
+				const scale = Math.min(Math.abs(o.scaleX), Math.abs(o.scaleY));
+				o.set({ angle: 0, skewX: 0, skewY: 0, flipX: false, flipY: false, scaleX: scale, scaleY: scale });
+				o.setPositionByOrigin(center, 'center', 'center');
+				refreshLayerThumb(o);
+			});
+		});
+	}
+
+	// Scales the selection as a whole so it fits the canvas, then centres it
+	function fitSelectionToCanvas() {
+		editSelection('Fit to canvas', (objs) => {
+			const bounds = unionBounds(objs.map(getLayerBounds));
+			const cw = fabricCanvas.getWidth();
+			const ch = fabricCanvas.getHeight();
+			const factor = Math.min(cw / bounds.width, ch / bounds.height);
+			const from = new fabric.Point(bounds.left + bounds.width / 2, bounds.top + bounds.height / 2);
+			const to = new fabric.Point(cw / 2, ch / 2);
+			objs.forEach((o) => {
+				const center = o.getCenterPoint();
+				o.set({ scaleX: o.scaleX * factor, scaleY: o.scaleY * factor });
+				o.setPositionByOrigin(to.add(center.subtract(from).multiply(factor)), 'center', 'center');
+			});
+		});
+	}
+
+	function wireInspector() {
+		inspectorPanel?.querySelectorAll('[data-inspect]').forEach((input) => {
+			input.addEventListener('input', () => applyInspectorField(input.dataset.inspect, parseFloat(input.value)));
+			// Show the applied (clamped, rounded) value once editing is done
+			input.addEventListener('change', syncInspector);
+		});
+		inspectorLockAspect?.addEventListener('change', (e) => setAspectLocked(e.target.checked));
+		inspectorFlipX?.addEventListener('change', flipHorizontal);
+		inspectorFlipY?.addEventListener('change', flipVertical);
+		resetTransformBtn?.addEventListener('click', resetTransform);
+		fitToCanvasBtn?.addEventListener('click', fitSelectionToCanvas);
+		['object:moving', 'object:scaling', 'object:rotating', 'object:skewing', 'object:modified'].forEach((name) => {
+			fabricCanvas.on(name, scheduleInspectorSync);
+		});
+	}
+
+	/** Keyboard **/
+	function onKeyDown(e) {
+		// Ignore when typing in inputs or contenteditable
+		const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
+		if (tag === 'input' || tag === 'textarea' || (e.target && e.target.isContentEditable)) return;
+		if (e.key === ' ' ) {
+			spaceKeyActive = true;
+		}
+		// Save project: Ctrl/Cmd + S
+		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+			saveProjectFile();
+			e.preventDefault();
+			return;
+		}
+		// Undo/Redo work with or without a selection
+		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.shiftKey) {
+			doUndo();
+			e.preventDefault();
+			return;
+		}
+		if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'y' || (e.shiftKey && e.key.toLowerCase() === 'z'))) {
+			doRedo();
+			e.preventDefault();
+			return;
+		}
+		const obj = getActiveObject();
+		if (e.key === 'Delete' || e.key === 'Backspace') {
+			if (obj) {
+				deleteSelected();
+				e.preventDefault();
+			}
+		}
+		if (!obj) return;
+		const nudge = e.shiftKey ? 10 : 1;
+		switch (e.key) {
+			case 'ArrowLeft':
+				obj.left -= nudge;
+				break;
+			case 'ArrowRight':
+				obj.left += nudge;
+				break;
+			case 'ArrowUp':
+				obj.top -= nudge;
+				break;
+			case 'ArrowDown':
+				obj.top += nudge;
+				break;
+			default:
+				break;
+		}
+		if (['ArrowLeft','ArrowRight','ArrowUp','ArrowDown'].includes(e.key)) {
+			obj.setCoords();
+			fabricCanvas.requestRenderAll();
+			commitNudge();
+			scheduleInspectorSync();
+			e.preventDefault();
+		}
+		// Duplicate: Ctrl/Cmd + D
+		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+			duplicateSelection();
+			e.preventDefault();
+		}
+		// Group: Ctrl/Cmd + G, ungroup: Ctrl/Cmd + Shift + G
+		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+			if (e.shiftKey) ungroupSelection();
+			else groupSelection();
+			e.preventDefault();
+		}
+	}
+	function onKeyUp(e) {
+		if (e.key === ' ') {
+			spaceKeyActive = false;
+		}
+	}
+
+	/** History (labelled steps that store per-layer diffs) **/
+	// Approximate UTF-16 size of all stored diffs; the oldest steps are dropped past this
+	const HISTORY_BUDGET = 48 * 1024 * 1024;
+	// Changing these means rebuilding the layer instead of set()-ing props on it
+	const REBUILD_KEYS = ['type', 'src', 'objects', 'clipPath', 'path'];
+	// Derived from data.tint/data.adjust and re-applied by applyLayerFilters
+	const DERIVED_KEYS = ['filters', 'resizeFilter'];
+	const MODIFY_LABELS = { drag: 'Move', scale: 'Resize', scaleX: 'Resize', scaleY: 'Resize', rotate: 'Rotate', skewX: 'Skew', skewY: 'Skew', pinch: 'Transform' };
+	const historyEntries = [];
+	let historyIndex = 0; // number of entries currently applied
+	let historyBytes = 0;
+	let historyBaseline = { layers: new Map(), order: [], photoEdits: defaultPhotoEdits(), photoSource: null };
+	let historyQueue = Promise.resolve();
+	let layerUidCounter = 0;
+
+	// Every layer carries data.uid so diffs can find it again; clones share data, so split those off
+	function ensureLayerUids() {
+		const seen = new Set();
+		fabricCanvas.getObjects().forEach((o) => {
+			if (!o.data || !o.data.uid || seen.has(o.data.uid)) {
+				o.data = { ...(o.data || {}), uid: `l${(++layerUidCounter).toString(36)}${Math.random().toString(36).slice(2, 6)}` };
+			}
+			seen.add(o.data.uid);
+		});
+	}
+
+	// Per-key JSON strings of a layer; members of an active selection are serialized in canvas space
+	function serializeLayerKeys(o) {
+		const json = fabricCanvas._toObject(o, 'toDatalessObject', SERIALIZE_PROPS);
+		const keys = {};
+		Object.keys(json).forEach((k) => {
+			keys[k] = k === 'src' ? stringifyLayerSrc(o, json.src) : JSON.stringify(json[k]);
+		});
+		return keys;
+	}
+
+	// Dropped images and My stickers keep megabytes of data URL in src, which almost never changes
+	const layerSrcKeyCache = new WeakMap();
+	function stringifyLayerSrc(o, src) {
+		const cached = layerSrcKeyCache.get(o);
+		if (cached && cached.src === src) return cached.key;
+		const key = JSON.stringify(src);
+		layerSrcKeyCache.set(o, { src, key });
+		return key;
+	}
+
+	function parseKeys(keys, only = Object.keys(keys)) {
+		const out = {};
+		only.forEach((k) => {
+			out[k] = keys[k] === undefined ? undefined : JSON.parse(keys[k]);
+		});
+		return out;
+	}
+
+	// touched: the layers a step changed; the rest reuse their baseline keys. Omitted, every layer is re-serialized.
+	// Layers that are new since the baseline are always serialized, so adds need not be listed.
+	function captureHistoryState(touched) {
+		ensureLayerUids();
+		const fresh = touched && new Set(touched.flatMap((o) => (o && o.type === 'activeSelection' ? o.getObjects() : [o])));
+		const layers = new Map();
+		const order = [];
+		fabricCanvas.getObjects().forEach((o) => {
+			const kept = fresh && !fresh.has(o) ? historyBaseline.layers.get(o.data.uid) : null;
+			layers.set(o.data.uid, kept || serializeLayerKeys(o));
+			order.push(o.data.uid);
+		});
+		return { layers, order, photoEdits: { ...photoEdits }, photoSource: originalImage };
+	}
+
+	function diffHistoryStates(before, after) {
+		const changes = [];
+		before.layers.forEach((keys, uid) => {
+			if (!after.layers.has(uid)) changes.push({ type: 'remove', uid, index: before.order.indexOf(uid), json: parseKeys(keys) });
+		});
+		after.layers.forEach((keys, uid) => {
+			const prev = before.layers.get(uid);
+			if (!prev) {
+				changes.push({ type: 'add', uid, index: after.order.indexOf(uid), json: parseKeys(keys) });
+				return;
+			}
+			const changed = Array.from(new Set([...Object.keys(prev), ...Object.keys(keys)]))
+				.filter((k) => !DERIVED_KEYS.includes(k) && prev[k] !== keys[k]);
+			if (!changed.length) return;
+			if (changed.some((k) => REBUILD_KEYS.includes(k))) {
+				changes.push({ type: 'replace', uid, before: parseKeys(prev), after: parseKeys(keys) });
+			} else {
+				changes.push({ type: 'props', uid, before: parseKeys(prev, changed), after: parseKeys(keys, changed) });
+			}
+		});
+		// A new photo starts a new baseline for its edits rather than an undoable step
+		if (before.photoSource === after.photoSource && !samePhotoEdits(before.photoEdits, after.photoEdits)) {
+			changes.push({ type: 'photo', before: before.photoEdits, after: after.photoEdits });
+		}
+		return changes;
+	}
+
+	// Records what changed since the last step under label; no-op when nothing did. Pass the layers the step
+	// modified as touched to skip re-serializing the rest; leave it out when unsure.
+	function pushHistory(label = 'Edit', touched) {
+		if (historySuspended || !fabricCanvas) return;
+		try {
+			const state = captureHistoryState(touched);
+			const changes = diffHistoryStates(historyBaseline, state);
+			const order = { before: historyBaseline.order, after: state.order };
+			historyBaseline = state;
+			if (!changes.length && order.before.join() === order.after.join()) return;
+			const entry = { label, time: Date.now(), changes, order };
+			entry.bytes = JSON.stringify(entry).length * 2;
+			// A new step discards anything that was undone
+			historyEntries.splice(historyIndex).forEach((e) => { historyBytes -= e.bytes; });
+			historyEntries.push(entry);
+			historyBytes += entry.bytes;
+			while (historyBytes > HISTORY_BUDGET && historyEntries.length > 1) {
+				historyBytes -= historyEntries.shift().bytes;
+			}
+			historyIndex = historyEntries.length;
+			scheduleHistoryRender();
+			scheduleAutosave();
+		} catch (e) {
+			console.warn('Could not record history:', e);
+		}
+	}
+
+	// pushHistory for slider and picker bursts: one step when input pauses, covering every layer that
+	// pickLayers returned during the burst (the selection can change mid-burst)
+	function debounceHistory(label, pickLayers = getSelectedObjects) {
+		const touched = new Set();
+		const commit = debounce(() => {
+			const layers = Array.from(touched);
+			touched.clear();
+			layers.forEach(refreshLayerThumb);
+			pushHistory(label, layers);
+		}, 400);
+		return () => {
+			pickLayers().forEach((o) => touched.add(o));
+			commit();
+		};
+	}
+
+	// Starts a fresh history from the current canvas (new document, project load, reset)
+	function resetHistory() {
+		historyEntries.length = 0;
+		historyIndex = 0;
+		historyBytes = 0;
+		historyBaseline = captureHistoryState();
+		scheduleHistoryRender();
+	}
+
+	// Opening a batch photo in the editor borrows the live canvas; the user's steps are parked here and put back afterwards
+	function stashHistory() {
+		return { entries: historyEntries.slice(), index: historyIndex, bytes: historyBytes };
+	}
+
+	// Call once the canvas shows the stashed state again; the baseline from that reload already matches it
+	function restoreHistory(stash) {
+		historyEntries.length = 0;
+		historyEntries.push(...stash.entries);
+		historyIndex = stash.index;
+		historyBytes = stash.bytes;
+		scheduleHistoryRender();
+	}
+
+	function describeModification(opt) {
+		const target = opt && opt.target;
+		const verb = MODIFY_LABELS[opt && opt.action] || (target && isTextObject(target) ? 'Edit text' : 'Edit');
+		if (!target || target.type === 'activeSelection') return `${verb} selection`;
+		return `${verb} ${getLayerName(target)}`;
+	}
+
+	function enlivenLayers(jsons) {
+		return new Promise((resolve) => fabric.util.enlivenObjects(jsons, resolve));
+	}
+
+	function applyLayerProps(o, props) {
+		// Entries must never alias live objects
+		const { data, shadow, ...rest } = JSON.parse(JSON.stringify(props));
+		o.set(rest);
+		if ('shadow' in props) o.set('shadow', shadow ? new fabric.Shadow(shadow) : null);
+		if ('data' in props) {
+			o.data = data;
+			if (o.type === 'image') applyLayerFilters(o);
+		}
+		o.setCoords();
+		layerThumbCache.delete(o);
+	}
+
+	async function applyHistoryEntry(entry, side) {
+		const undoing = side === 'before';
+		const selectedUids = getSelectedObjects().map((o) => o.data && o.data.uid);
+		fabricCanvas.discardActiveObject();
+		historySuspended = true;
+		try {
+			const byUid = () => new Map(fabricCanvas.getObjects().map((o) => [o.data && o.data.uid, o]));
+			for (const c of entry.changes) {
+				const live = byUid().get(c.uid);
+				if ((c.type === 'add' && undoing) || (c.type === 'remove' && !undoing)) {
+					if (live) fabricCanvas.remove(live);
+				} else if (c.type === 'add' || c.type === 'remove') {
+					const [o] = await enlivenLayers([c.json]);
+					fabricCanvas.insertAt(o, Math.min(c.index, fabricCanvas.getObjects().length));
+				} else if (c.type === 'replace') {
+					const [o] = await enlivenLayers([c[side]]);
+					const index = live ? fabricCanvas.getObjects().indexOf(live) : fabricCanvas.getObjects().length;
+					if (live) fabricCanvas.remove(live);
+					fabricCanvas.insertAt(o, index);
+				} else if (c.type === 'props' && live) {
+					applyLayerProps(live, c[side]);
+				} else if (c.type === 'photo') {
+					photoEdits = { ...c[side] };
+					syncPhotoToolbar();
+					await refreshBackground();
+				}
+			}
+			const layers = byUid();
+			entry.order[side].forEach((uid, i) => {
+				const o = layers.get(uid);
+				if (o) fabricCanvas.moveTo(o, i);
+			});
+			const reselect = selectedUids.map((uid) => layers.get(uid)).filter((o) => o && o.selectable !== false);
+			if (reselect.length === 1) fabricCanvas.setActiveObject(reselect[0]);
+			else if (reselect.length > 1) fabricCanvas.setActiveObject(new fabric.ActiveSelection(reselect, { canvas: fabricCanvas }));
+		} finally {
+			historySuspended = false;
+		}
+		fabricCanvas.requestRenderAll();
+		scheduleLayersRender();
+		syncToolbarToSelection();
+	}
+
+	// Steps are queued so rapid undo/redo presses apply in order
+	function runHistoryStep(direction) {
+		historyQueue = historyQueue.then(async () => {
+			const entry = historyEntries[direction < 0 ? historyIndex - 1 : historyIndex];
+			if (!entry) return;
+			await applyHistoryEntry(entry, direction < 0 ? 'before' : 'after');
+			historyIndex += direction;
+			historyBaseline = captureHistoryState();
+			scheduleHistoryRender();
+			scheduleAutosave();
+		}).catch((e) => {
+			console.error('Undo/redo failed:', e);
+			showNotification('Undo/redo failed', 'error');
+		});
+		return historyQueue;
+	}
+
+	function doUndo() {
+		runHistoryStep(-1);
+	}
+
+	function doRedo() {
+		runHistoryStep(1);
+	}
+
+	function jumpToHistory(target) {
+		const steps = target - historyIndex;
+		for (let i = 0; i < Math.abs(steps); i++) runHistoryStep(Math.sign(steps));
+	}
+
+	let historyRenderPending = false;
+	function scheduleHistoryRender() {
+		if (historyRenderPending) return;
+		historyRenderPending = true;
+		requestAnimationFrame(() => {
+			historyRenderPending = false;
+			renderHistoryPanel();
+		});
+	}
+
+	function renderHistoryPanel() {
+		if (!historyList) return;
+		historyList.innerHTML = '';
+		const rows = [{ label: 'Start', index: 0 }, ...historyEntries.map((e, i) => ({ label: e.label, index: i + 1, time: e.time }))];
+		rows.forEach((r) => {
+			const row = document.createElement('li');
+			row.className = 'history-row';
+			row.classList.toggle('active', r.index === historyIndex);
+			row.classList.toggle('is-future', r.index > historyIndex);
+			row.textContent = r.label;
+			if (r.time) row.title = new Date(r.time).toLocaleTimeString();
+			row.onclick = () => jumpToHistory(r.index);
+			historyList.appendChild(row);
+		});
+		const current = historyList.querySelector('.history-row.active');
+		if (current) current.scrollIntoView({ block: 'nearest' });
+		if (historyUsage) historyUsage.textContent = `${historyEntries.length} steps · ${(historyBytes / 1048576).toFixed(1)} MB`;
+	}
+
+	/** Export **/
+	const EXPORT_SIZES = [
+		{ value: '512', label: '512px' },
+		{ value: '1024', label: '1024px' },
+		{ value: '1500', label: '1500px' },
+		{ value: '1080', label: '1080px (IG)' },
+		{ value: '400', label: '400px (X/Twitter)' },
+		{ value: '128', label: '128px (Discord)' }
+	];
+	const EXPORT_FORMATS = [
+		{ value: 'png', label: 'PNG' },
+		{ value: 'jpg', label: 'JPG' },
+		{ value: 'webp', label: 'WebP' }
+	];
+
+	function getExportSizeOptions() {
+		const doc = getDocumentSize();
+		return [{ value: 'original', label: `Original (${doc.width}×${doc.height})` }, ...EXPORT_SIZES];
+	}
+
+	function openExportDialog() {
+		const dialog = document.createElement('div');
+		dialog.style.position = 'fixed';
+		dialog.style.inset = '0';
+		dialog.style.background = 'rgba(0,0,0,0.6)';
+		dialog.style.display = 'flex';
+		dialog.style.alignItems = 'center';
+		dialog.style.justifyContent = 'center';
+		dialog.style.zIndex = '10000';
+		const card = document.createElement('div');
+		card.style.background = 'rgba(15,20,25,0.95)';
+		card.style.border = '1px solid rgba(135,206,235,0.4)';
+		card.style.borderRadius = '12px';
+		card.style.padding = '16px';
+		card.style.minWidth = '320px';
+		card.style.maxWidth = '90vw';
+		card.style.color = '#fff';
+		card.innerHTML = `
+			<div style="display:flex; align-items:center; justify-content:space-between; gap:8px; margin-bottom:12px;">
+				<h3 style="margin:0; font-size:18px;">Export</h3>
+				<button class="btn btn-ghost" id="exportCloseBtn">✕</button>
+			</div>
+			<div style="display:grid; gap:10px;">
+				<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+					<span>Size</span>
+					<select id="exportSize" class="btn btn-secondary">
+						${getExportSizeOptions().map((o) => `<option value="${o.value}">${o.label}</option>`).join('')}
+					</select>
+				</label>
+				<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+					<span>Format</span>
+					<select id="exportFormat" class="btn btn-secondary">
+						${EXPORT_FORMATS.map((o) => `<option value="${o.value}">${o.label}</option>`).join('')}
+					</select>
+				</label>
+				<div id="qualityRow" style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+					<span>Quality</span>
+					<input type="range" id="exportQuality" min="0" max="1" step="0.01" value="0.95" style="width:160px;" />
+				</div>
+				<label style="display:flex; gap:8px; align-items:center;">
+					<input type="checkbox" id="exportCenterCrop" />
+					<span>Center-crop to square</span>
+				</label>
+				<label style="display:flex; gap:8px; align-items:center;">
+					<input type="checkbox" id="exportApplyMask" />
+					<span>Cut out avatar mask (transparent)</span>
+				</label>
+				<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;" title="EXIF from the uploaded photo (camera, date, GPS)">
+					<span>Photo metadata</span>
+					<select id="exportMetadata" class="btn btn-secondary">
+						${EXPORT_METADATA_OPTIONS.map((o) => `<option value="${o.value}">${o.label}</option>`).join('')}
+					</select>
+				</label>
+				<div id="exportUpscaleWarn" style="display:none; font-size:12px; color:#fbbf24;"></div>
+				<button class="btn btn-primary" id="exportGoBtn">Download</button>
+				<details id="exportBatch" style="border-top:1px solid rgba(255,255,255,0.15); padding-top:10px;">
+					<summary style="cursor:pointer; font-weight:600;">Export all (ZIP)</summary>
+					<div style="display:grid; gap:10px; margin-top:10px;">
+						<div>
+							<div style="font-size:12px; opacity:0.7; margin-bottom:4px;">Sizes</div>
+							<div id="exportBatchSizes" style="display:grid; grid-template-columns:repeat(2, minmax(0, 1fr)); gap:4px 12px;">
+								${getExportSizeOptions().map((o) => `<label style="display:flex; gap:6px; align-items:center;"><input type="checkbox" value="${o.value}" />${o.label}</label>`).join('')}
+							</div>
+						</div>
+						<div>
+							<div style="font-size:12px; opacity:0.7; margin-bottom:4px;">Formats</div>
+							<div id="exportBatchFormats" style="display:flex; gap:12px;">
+								${EXPORT_FORMATS.map((o) => `<label style="display:flex; gap:6px; align-items:center;"><input type="checkbox" value="${o.value}" />${o.label}</label>`).join('')}
+							</div>
+						</div>
+						<div id="exportBatchProgressRow" style="display:none; gap:8px; align-items:center;">
+							<progress id="exportBatchProgress" value="0" max="1" style="flex:1;"></progress>
+							<span id="exportBatchProgressText" style="font-size:12px; min-width:48px; text-align:right;"></span>
+						</div>
+						<button class="btn btn-primary" id="exportBatchGoBtn">Download ZIP</button>
+					</div>
+				</details>
+				<details id="exportAnimated" style="border-top:1px solid rgba(255,255,255,0.15); padding-top:10px;">
+					<summary style="cursor:pointer; font-weight:600;">Animated (GIF / WebP)</summary>
+					<div style="display:grid; gap:10px; margin-top:10px;">
+						<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+							<span>Format</span>
+							<select id="exportAnimFormat" class="btn btn-secondary">
+								<option value="gif">GIF</option>
+								<option value="webp">Animated WebP</option>
+							</select>
+						</label>
+						<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+							<span>Frame rate</span>
+							<select id="exportAnimFps" class="btn btn-secondary">
+								<option value="10">10 fps</option>
+								<option value="15">15 fps</option>
+								<option value="20">20 fps</option>
+								<option value="25">25 fps</option>
+							</select>
+						</label>
+						<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+							<span>Duration (s)</span>
+							<input type="number" id="exportAnimDuration" min="0.5" max="10" step="0.1" class="btn btn-secondary" style="width:90px;" />
+						</label>
+						<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
+							<span>Loop</span>
+							<select id="exportAnimLoop" class="btn btn-secondary">
+								<option value="0">Forever</option>
+								<option value="1">Play once</option>
+								<option value="3">3 times</option>
+							</select>
+						</label>
+						<div id="exportAnimProgressRow" style="display:none; gap:8px; align-items:center;">
+							<progress id="exportAnimProgress" value="0" max="1" style="flex:1;"></progress>
+							<span id="exportAnimProgressText" style="font-size:12px; min-width:48px; text-align:right;"></span>
+						</div>
+						<button class="btn btn-primary" id="exportAnimGoBtn">Download animation</button>
+					</div>
+				</details>
+			</div>
+		`;
+		dialog.appendChild(card);
+		document.body.appendChild(dialog);
+
+		const formatSel = card.querySelector('#exportFormat');
+		const qualityRow = card.querySelector('#qualityRow');
+		const qualityInput = card.querySelector('#exportQuality');
+		function updateQualityVisibility() {
+			const fmt = formatSel.value;
+			qualityRow.style.display = (fmt === 'jpg' || fmt === 'webp') ? 'flex' : 'none';
+		}
+		formatSel.onchange = () => {
+			// JPG has no alpha channel, so a cut-out mask needs PNG or WebP
+			if (formatSel.value === 'jpg') maskInput.checked = false;
+			updateQualityVisibility();
+		};
+		updateQualityVisibility();
+
+		const cropInput = card.querySelector('#exportCenterCrop');
+		const maskInput = card.querySelector('#exportApplyMask');
+		const hasMask = exportSettings.maskShape && exportSettings.maskShape !== 'none';
+		maskInput.disabled = !hasMask;
+		maskInput.parentElement.title = hasMask ? '' : 'Pick a mask shape under the canvas first';
+		maskInput.onchange = () => {
+			if (!maskInput.checked) return;
+			cropInput.checked = true;
+			if (formatSel.value === 'jpg') formatSel.value = 'png';
+			updateQualityVisibility();
+		};
+		cropInput.onchange = () => {
+			if (!cropInput.checked) maskInput.checked = false;
+			updateUpscaleWarning();
+		};
+
+		const sizeInput = card.querySelector('#exportSize');
+		const metadataSel = card.querySelector('#exportMetadata');
+		const upscaleWarn = card.querySelector('#exportUpscaleWarn');
+		function updateUpscaleWarning() {
+			const cropSquare = cropInput.checked || maskInput.checked;
+			const { outW, outH } = getExportSize(sizeInput.value, cropSquare);
+			const upscaled = findUpscaledLayers(getExportMapping(outW, outH, cropSquare).scale);
+			upscaleWarn.style.display = upscaled.length ? 'block' : 'none';
+			upscaleWarn.textContent = upscaled.length ? describeUpscaledLayers(upscaled) : '';
+		}
+		sizeInput.addEventListener('change', updateUpscaleWarning);
+		maskInput.addEventListener('change', updateUpscaleWarning);
+		// Only an uploaded JPEG carries EXIF worth keeping
+		metadataSel.disabled = !originalImage;
+
+		sizeInput.value = exportSettings.sizeSel;
+		formatSel.value = exportSettings.fmt;
+		cropInput.checked = exportSettings.cropSquare;
+		maskInput.checked = hasMask && exportSettings.applyMask;
+		qualityInput.value = String(exportSettings.quality);
+		metadataSel.value = exportSettings.metadata;
+		updateQualityVisibility();
+		updateUpscaleWarning();
+
+		card.querySelector('#exportCloseBtn').onclick = () => dialog.remove();
+		card.querySelector('#exportGoBtn').onclick = async () => {
+			const sizeSel = sizeInput.value;
+			const fmt = formatSel.value;
+			const cropSquare = cropInput.checked;
+			const applyMask = maskInput.checked;
+			const quality = parseFloat(qualityInput.value || '0.95');
+			const metadata = metadataSel.value;
+			Object.assign(exportSettings, { sizeSel, fmt, cropSquare, quality, applyMask, metadata });
+			const maskShape = applyMask ? exportSettings.maskShape : 'none';
+			try {
+				const { blob, width, height, ext } = await exportImage({ sizeSel, fmt, cropSquare, quality, maskShape, metadata });
+				const ts = getTimestamp();
+				downloadBlob(blob, `pfp_${width}x${height}_${ts}.${ext}`);
+				showNotification('Exported', 'success');
+				dialog.remove();
+			} catch (e) {
+				console.error(e);
+				showNotification('Export failed', 'error');
+			}
+		};
+
+		const batchSizes = card.querySelectorAll('#exportBatchSizes input');
+		const batchFormats = card.querySelectorAll('#exportBatchFormats input');
+		batchSizes.forEach((el) => { el.checked = exportSettings.batch.sizes.includes(el.value); });
+		batchFormats.forEach((el) => { el.checked = exportSettings.batch.formats.includes(el.value); });
+		const batchGoBtn = card.querySelector('#exportBatchGoBtn');
+		const progressRow = card.querySelector('#exportBatchProgressRow');
+		const progressBar = card.querySelector('#exportBatchProgress');
+		const progressText = card.querySelector('#exportBatchProgressText');
+		batchGoBtn.onclick = async () => {
+			const sizes = Array.from(batchSizes).filter((el) => el.checked).map((el) => el.value);
+			const formats = Array.from(batchFormats).filter((el) => el.checked).map((el) => el.value);
+			if (!sizes.length || !formats.length) {
+				showNotification('Pick at least one size and one format', 'error');
+				return;
+			}
+			exportSettings.batch = { sizes, formats };
+			exportSettings.metadata = metadataSel.value;
+			const options = {
+				cropSquare: cropInput.checked,
+				quality: parseFloat(qualityInput.value || '0.95'),
+				maskShape: maskInput.checked ? exportSettings.maskShape : 'none',
+				metadata: metadataSel.value
+			};
+			batchGoBtn.disabled = true;
+			progressRow.style.display = 'flex';
+			try {
+				const zip = await exportBatch(sizes, formats, options, (done, total) => {
+					progressBar.value = done / total;
+					progressText.textContent = `${done} / ${total}`;
+				});
+				downloadBlob(zip, `pfp_all_${getTimestamp()}.zip`);
+				showNotification('Exported ZIP', 'success');
+				dialog.remove();
+			} catch (e) {
+				console.error(e);
+				showNotification('Export failed', 'error');
+				batchGoBtn.disabled = false;
+			}
+		};
+
+		wireAnimatedExport(card, () => ({
+			sizeSel: sizeInput.value,
+			cropSquare: cropInput.checked,
+			quality: parseFloat(qualityInput.value || '0.95'),
+			maskShape: maskInput.checked ? exportSettings.maskShape : 'none'
+		}), () => dialog.remove());
+	}
+
+	function wireAnimatedExport(card, readOptions, close) {
+		const fmtSel = card.querySelector('#exportAnimFormat');
+		const fpsSel = card.querySelector('#exportAnimFps');
+		const durationInput = card.querySelector('#exportAnimDuration');
+		const loopSel = card.querySelector('#exportAnimLoop');
+		const goBtn = card.querySelector('#exportAnimGoBtn');
+		const progressRow = card.querySelector('#exportAnimProgressRow');
+		const progressBar = card.querySelector('#exportAnimProgress');
+		const progressText = card.querySelector('#exportAnimProgressText');
+		const settings = exportSettings.animation;
+		fmtSel.value = settings.fmt;
+		fpsSel.value = String(settings.fps);
+		loopSel.value = String(settings.loop);
+		durationInput.value = (getAnimationLoopLength() / 1000).toFixed(1);
+		if (!hasAnimations()) {
+			goBtn.disabled = true;
+			goBtn.title = 'Add an animated sticker or a layer motion first';
+		}
+		goBtn.onclick = async () => {
+			const fmt = fmtSel.value;
+			const fps = parseInt(fpsSel.value, 10) || 15;
+			const plays = parseInt(loopSel.value, 10) || 0;
+			const duration = clamp(parseFloat(durationInput.value) || 2, 0.5, 10);
+			exportSettings.animation = { fmt, fps, loop: plays };
+			goBtn.disabled = true;
+			progressRow.style.display = 'flex';
+			try {
+				const { blob, width, height, ext } = await exportAnimation({ ...readOptions(), fmt, fps, duration, plays }, (done, total) => {
+					progressBar.value = done / total;
+					progressText.textContent = `${done} / ${total}`;
+				});
+				downloadBlob(blob, `pfp_${width}x${height}_${getTimestamp()}.${ext}`);
+				showNotification('Exported animation', 'success');
+				close();
+			} catch (e) {
+				console.error(e);
+				showNotification(e.message && e.message.includes('WebP') ? e.message : 'Animated export failed', 'error');
+				goBtn.disabled = false;
+			}
+		};
+	}
+
+	// Runs exportImage for every size × format combination and zips the results
+	async function exportBatch(sizes, formats, options, onProgress) {
+		const ts = getTimestamp();
+		const jobs = [];
+		sizes.forEach((sizeSel) => formats.forEach((fmt) => jobs.push({ sizeSel, fmt })));
+		const files = [];
+		const usedNames = new Set();
+		for (let i = 0; i < jobs.length; i++) {
+			const { blob, width, height, ext } = await exportImage({ ...options, ...jobs[i] });
+			// "Original" can coincide with a preset size; keep names unique inside the archive
+			let name = `pfp_${width}x${height}_${ts}.${ext}`;
+			for (let n = 2; usedNames.has(name); n++) name = `pfp_${width}x${height}_${ts}_${n}.${ext}`;
+			usedNames.add(name);
+			files.push({ name, blob });
+			if (onProgress) onProgress(i + 1, jobs.length);
+			// Let the progress bar paint between renders
+			await new Promise((resolve) => setTimeout(resolve, 0));
+		}
+		return createZip(files);
+	}
+
+	/** ZIP (store-only, no compression: the images are already compressed) **/
+	const CRC32_TABLE = (() => {
+		const table = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+			table[n] = c >>> 0;
+		}
+		return table;
+	})();
+
+	function crc32(bytes) {
+		let crc = 0xFFFFFFFF;
+		for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	}
+
+	function toDosDateTime(d) {
+		const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+		const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+		return { time, date };
+	}
+
+	// files: [{ name, blob }] → application/zip Blob
+	async function createZip(files) {
+		const encoder = new TextEncoder();
+		const { time, date } = toDosDateTime(new Date());
+		const parts = [];
+		const central = [];
+		let offset = 0;
+		for (const file of files) {
+			const data = new Uint8Array(await file.blob.arrayBuffer());
+			const name = encoder.encode(file.name);
+			const crc = crc32(data);
+			const local = new DataView(new ArrayBuffer(30));
+			local.setUint32(0, 0x04034b50, true);
+			local.setUint16(4, 20, true); // version needed
+			local.setUint16(6, 0x0800, true); // UTF-8 names
+			local.setUint16(8, 0, true); // stored
+			local.setUint16(10, time, true);
+			local.setUint16(12, date, true);
+			local.setUint32(14, crc, true);
+			local.setUint32(18, data.length, true);
+			local.setUint32(22, data.length, true);
+			local.setUint16(26, name.length, true);
+			local.setUint16(28, 0, true);
+			parts.push(local.buffer, name, data);
+
+			const entry = new DataView(new ArrayBuffer(46));
+			entry.setUint32(0, 0x02014b50, true);
+			entry.setUint16(4, 20, true); // version made by
+			entry.setUint16(6, 20, true);
+			entry.setUint16(8, 0x0800, true);
+			entry.setUint16(10, 0, true);
+			entry.setUint16(12, time, true);
+			entry.setUint16(14, date, true);
+			entry.setUint32(16, crc, true);
+			entry.setUint32(20, data.length, true);
+			entry.setUint32(24, data.length, true);
+			entry.setUint16(28, name.length, true);
+			entry.setUint32(42, offset, true);
+			central.push(entry.buffer, name);
+			offset += 30 + name.length + data.length;
+		}
+		const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+		const end = new DataView(new ArrayBuffer(22));
+		end.setUint32(0, 0x06054b50, true);
+		end.setUint16(8, files.length, true);
+		end.setUint16(10, files.length, true);
+		end.setUint32(12, centralSize, true);
+		end.setUint32(16, offset, true);
+		return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+	}
+
+	/** GIF Encoder (median-cut palette per frame, LZW) **/
+	// Quantizes to 5 bits per channel, then median-cuts the used colours down to the palette size
+	function buildGifPalette(data, maxColors) {
+		const counts = new Uint32Array(32768);
+		for (let i = 0; i < data.length; i += 4) {
+			if (data[i + 3] < 128) continue;
+			counts[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+		}
+		const used = [];
+		for (let c = 0; c < 32768; c++) if (counts[c]) used.push(c);
+		const channel = (c, ch) => (c >> (10 - ch * 5)) & 31;
+		let boxes = [used];
+		while (boxes.length < maxColors) {
+			// Split the box with the widest channel range, weighted by how many pixels it covers
+			let best = -1;
+			let bestScore = 0;
+			let bestChannel = 0;
+			boxes.forEach((box, bi) => {
+				if (box.length < 2) return;
+				for (let ch = 0; ch < 3; ch++) {
+					let min = 31;
+					let max = 0;
+					box.forEach((c) => {
+						const v = channel(c, ch);
+						if (v < min) min = v;
+						if (v > max) max = v;
+					});
+					const score = (max - min) * Math.log2(box.length + 1);
+					if (score > bestScore) {
+						bestScore = score;
+						best = bi;
+						bestChannel = ch;
+					}
+				}
+			});
+			if (best === -1) break;
+			const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+			let total = 0;
+			box.forEach((c) => { total += counts[c]; });
+			let acc = 0;
+			let cut = 1;
+			for (; cut < box.length - 1; cut++) {
+				acc += counts[box[cut - 1]];
+				if (acc >= total / 2) break;
+			}
+			boxes.splice(best, 1, box.slice(0, cut), box.slice(cut));
+		}
+		boxes = boxes.filter((b) => b.length);
+		const palette = boxes.map((box) => {
+			let r = 0, g = 0, b = 0, n = 0;
+			box.forEach((c) => {
+				const w = counts[c];
+				r += ((c >> 10) & 31) * w;
+				g += ((c >> 5) & 31) * w;
+				b += (c & 31) * w;
+				n += w;
+			});
+			return [Math.round(r / n * 8.226), Math.round(g / n * 8.226), Math.round(b / n * 8.226)];
+		});
+		// Every used 15-bit colour maps to its nearest palette entry
+		const lookup = new Uint8Array(32768);
+		used.forEach((c) => {
+			const r = ((c >> 10) & 31) * 8.226, g = ((c >> 5) & 31) * 8.226, b = (c & 31) * 8.226;
+			let nearest = 0;
+			let nearestDist = Infinity;
+			palette.forEach((p, pi) => {
+				const d = (p[0] - r) ** 2 + (p[1] - g) ** 2 + (p[2] - b) ** 2;
+				if (d < nearestDist) {
+					nearestDist = d;
+					nearest = pi;
+				}
+			});
+			lookup[c] = nearest;
+		});
+		return { palette, lookup };
+	}
+
+	function lzwEncode(indices, minCodeSize, out) {
+		const clearCode = 1 << minCodeSize;
+		const endCode = clearCode + 1;
+		let codeSize = minCodeSize + 1;
+		let nextCode = endCode + 1;
+		let dict = new Map();
+		let block = [];
+		let bitBuffer = 0;
+		let bitCount = 0;
+		const emit = (code) => {
+			bitBuffer |= code << bitCount;
+			bitCount += codeSize;
+			while (bitCount >= 8) {
+				block.push(bitBuffer & 255);
+				bitBuffer >>= 8;
+				bitCount -= 8;
+				if (block.length === 255) {
+					out.push(255, ...block);
+					block = [];
+				}
+			}
+		};
+		out.push(minCodeSize);
+		emit(clearCode);
+		let prefix = indices[0];
+		for (let i = 1; i < indices.length; i++) {
+			const k = indices[i];
+			const key = (prefix << 8) | k;
+			const existing = dict.get(key);
+			if (existing !== undefined) {
+				prefix = existing;
+				continue;
+			}
+			emit(prefix);
+			if (nextCode < 4096) {
+				dict.set(key, nextCode++);
+				if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+			} else {
+				emit(clearCode);
+				dict = new Map();
+				codeSize = minCodeSize + 1;
+				nextCode = endCode + 1;
+			}
+			prefix = k;
+		}
+		emit(prefix);
+		emit(endCode);
+		if (bitCount > 0) block.push(bitBuffer & 255);
+		if (block.length) out.push(block.length, ...block);
+		out.push(0);
+	}
+
+	// Streams frames into GIF89a bytes; pixels under half alpha become the transparent index
+	function createGifEncoder(width, height, { plays = 0 } = {}) {
+		const parts = [];
+		const u16 = (v) => [v & 255, (v >> 8) & 255];
+		const header = [...'GIF89a'].map((ch) => ch.charCodeAt(0));
+		header.push(...u16(width), ...u16(height), 0, 0, 0);
+		if (plays !== 1) {
+			// NETSCAPE2.0 repeat count: 0 loops forever, n repeats after the first play
+			header.push(0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map((ch) => ch.charCodeAt(0)), 3, 1, ...u16(plays ? plays - 1 : 0), 0);
+		}
+		parts.push(new Uint8Array(header));
+		return {
+			addFrame(canvas, delayMs) {
+				const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+				let hasTransparency = false;
+				for (let i = 3; i < data.length; i += 4) {
+					if (data[i] < 128) {
+						hasTransparency = true;
+						break;
+					}
+				}
+				const { palette, lookup } = buildGifPalette(data, hasTransparency ? 255 : 256);
+				const transparentIndex = hasTransparency ? palette.length : 0;
+				const indices = new Uint8Array(width * height);
+				for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+					indices[p] = data[i + 3] < 128
+						? transparentIndex
+						: lookup[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)];
+				}
+				const bytes = [];
+				// Graphic control: restore-to-background disposal so transparent frames don't pile up
+				bytes.push(0x21, 0xf9, 4, (2 << 2) | (hasTransparency ? 1 : 0), ...u16(Math.max(2, Math.round(delayMs / 10))), transparentIndex, 0);
+				bytes.push(0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x80 | 7);
+				for (let i = 0; i < 256; i++) {
+					const c = palette[i] || [0, 0, 0];
+					bytes.push(c[0], c[1], c[2]);
+				}
+				lzwEncode(indices, 8, bytes);
+				parts.push(new Uint8Array(bytes));
+			},
+			finish() {
+				parts.push(new Uint8Array([0x3b]));
+				return new Blob(parts, { type: 'image/gif' });
+			}
+		};
+	}
+
+	/** Animated WebP (browser-encoded frames muxed into ANMF chunks) **/
+	function webpChunk(fourcc, payload) {
+		const padded = payload.length + (payload.length & 1);
+		const chunk = new Uint8Array(8 + padded);
+		const view = new DataView(chunk.buffer);
+		for (let i = 0; i < 4; i++) chunk[i] = fourcc.charCodeAt(i);
+		view.setUint32(4, payload.length, true);
+		chunk.set(payload, 8);
+		return chunk;
+	}
+
+	function setUint24(bytes, offset, value) {
+		bytes[offset] = value & 255;
+		bytes[offset + 1] = (value >> 8) & 255;
+		bytes[offset + 2] = (value >> 16) & 255;
+	}
+
+	// Pulls the image chunks (ALPH + VP8, or VP8L) out of a still WebP file
+	function extractWebpImageChunks(bytes) {
+		const fourcc = (o) => String.fromCharCode(bytes[o], bytes[o + 1], bytes[o + 2], bytes[o + 3]);
+		if (fourcc(0) !== 'RIFF' || fourcc(8) !== 'WEBP') throw new Error('Not a WebP file');
+		const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		const chunks = [];
+		for (let o = 12; o + 8 <= bytes.length;) {
+			const size = view.getUint32(o + 4, true);
+			const id = fourcc(o);
+			if (id === 'ALPH' || id === 'VP8 ' || id === 'VP8L') chunks.push(bytes.subarray(o, o + 8 + size + (size & 1)));
+			o += 8 + size + (size & 1);
+		}
+		return chunks;
+	}
+
+	function createWebpAnimationEncoder(width, height, { plays = 0, quality = 0.9 } = {}) {
+		const frames = [];
+		return {
+			async addFrame(canvas, delayMs) {
+				const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/webp', clamp(quality, 0, 1)));
+				if (!blob || blob.type !== 'image/webp') throw new Error('This browser cannot encode WebP; export a GIF instead');
+				const header = new Uint8Array(16);
+				setUint24(header, 6, width - 1);
+				setUint24(header, 9, height - 1);
+				setUint24(header, 12, Math.round(delayMs));
+				// No blending and dispose to background: every frame is a full replacement
+				header[15] = 0b11;
+				const image = extractWebpImageChunks(new Uint8Array(await blob.arrayBuffer()));
+				const payload = new Uint8Array(16 + image.reduce((n, c) => n + c.length, 0));
+				payload.set(header);
+				let offset = 16;
+				image.forEach((c) => {
+					payload.set(c, offset);
+					offset += c.length;
+				});
+				frames.push(webpChunk('ANMF', payload));
+			},
+			finish() {
+				const vp8x = new Uint8Array(10);
+				vp8x[0] = 0x10 | 0x02; // alpha + animation
+				setUint24(vp8x, 4, width - 1);
+				setUint24(vp8x, 7, height - 1);
+				const anim = new Uint8Array(6);
+				anim[4] = plays & 255;
+				anim[5] = (plays >> 8) & 255;
+				const body = [webpChunk('VP8X', vp8x), webpChunk('ANIM', anim), ...frames];
+				const riff = new Uint8Array(12);
+				const view = new DataView(riff.buffer);
+				riff.set([82, 73, 70, 70]); // RIFF
+				view.setUint32(4, 4 + body.reduce((n, c) => n + c.length, 0), true);
+				riff.set([87, 69, 66, 80], 8); // WEBP
+				return new Blob([riff, ...body], { type: 'image/webp' });
+			}
+		};
+	}
+
+	// Canvas-space placement of a layer; members of an active selection store theirs relative to it
+	function getCanvasTransform(o) {
+		if (!o.group) {
+			return {
+				left: o.left || 0, top: o.top || 0, scaleX: o.scaleX || 1, scaleY: o.scaleY || 1,
+				originX: o.originX, originY: o.originY, angle: o.angle || 0,
+				skewX: o.skewX || 0, skewY: o.skewY || 0, flipX: !!o.flipX, flipY: !!o.flipY
+			};
+		}
+		const d = fabric.util.qrDecompose(o.calcTransformMatrix());
+		return {
+			left: d.translateX, top: d.translateY, scaleX: d.scaleX, scaleY: d.scaleY,
+			originX: 'center', originY: 'center', angle: d.angle,
+			skewX: d.skewX, skewY: d.skewY, flipX: false, flipY: false
+		};
+	}
+
+	// Cloned groups re-decode their images from static data URLs; point them at the live (animated) elements
+	function shareImageElements(clone, original) {
+		clone.getObjects().forEach((c, i) => {
+			const live = original.getObjects()[i];
+			if (!live) return;
+			if (c.type === 'image' && live.type === 'image') {
+				c._element = live._element;
+				c._originalElement = live._originalElement;
+				c.filters = [];
+			} else if (c.type === 'group' && live.type === 'group') {
+				shareImageElements(c, live);
+			}
+		});
+		clone.objectCaching = false;
+	}
+
+	// What an export is built from: the editor's document, or a batch photo composited off-screen (see loadBatchItem).
+	// renderBackground(outW, outH, { cover }) draws the document behind the layers; layers are in preview coordinates.
+	function getLiveExportSource() {
+		return {
+			doc: getDocumentSize(),
+			preview: { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() },
+			layers: fabricCanvas.getObjects().filter((o) => o !== fabricCanvas.backgroundImage),
+			renderBackground: hasDocument() ? (outW, outH, { cover }) => renderDocumentBackground(outW, outH, { cover, fullRes: true }) : null,
+			photoBlob: originalImage ? originalImageBlob : null
+		};
+	}
+
+	// Output pixel size for an export size option; cropSquare forces a square frame. doc defines the output frame:
+	// by default the editor's template or edited photo (crop/rotation).
+	function getExportSize(sizeSel, cropSquare, doc = getDocumentSize()) {
+		if (sizeSel === 'original') {
+			// If center-crop is enabled with original size, make output square based on the largest dimension
+			if (cropSquare) {
+				const size = Math.max(doc.width, doc.height);
+				return { outW: size, outH: size };
+			}
+			return { outW: doc.width, outH: doc.height };
+		}
+		const s = parseInt(sizeSel, 10);
+		// Square output when center-crop is enabled
+		if (cropSquare) return { outW: s, outH: s };
+		// Maintain aspect ratio when center-crop is disabled
+		const aspect = doc.width / doc.height;
+		return aspect >= 1
+			? { outW: s, outH: Math.round(s / aspect) }
+			: { outW: Math.round(s * aspect), outH: s };
+	}
+
+	// Preview → output mapping: one scale for both axes, centered the same way renderDocumentBackground places the document
+	function getExportMapping(outW, outH, cover, preview = { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() }) {
+		const previewW = preview.width;
+		const previewH = preview.height;
+		const scale = cover
+			? Math.max(outW / previewW, outH / previewH)
+			: Math.min(outW / previewW, outH / previewH);
+		return { scale, offsetX: (outW - previewW * scale) / 2, offsetY: (outH - previewH * scale) / 2 };
+	}
+
+	// Image layers that the export would stretch past their source pixels: [{ name, factor }]
+	function findUpscaledLayers(exportScale) {
+		const upscaled = [];
+		const visit = (o, top) => {
+			if (o.type === 'group') {
+				o.getObjects().forEach((child) => visit(child, top));
+				return;
+			}
+			if (o.type !== 'image') return;
+			// Layer images are decoded at their native size, so the drawn scale is the upscale factor
+			const m = fabric.util.qrDecompose(o.calcTransformMatrix());
+			const factor = Math.max(Math.abs(m.scaleX), Math.abs(m.scaleY)) * exportScale;
+			if (factor > 1.05) upscaled.push({ name: getLayerName(top), factor });
+		};
+		fabricCanvas.getObjects().forEach((o) => visit(o, o));
+		return upscaled;
+	}
+
+	function describeUpscaledLayers(upscaled) {
+		const names = Array.from(new Set(upscaled.map((u) => u.name)));
+		const worst = Math.max(...upscaled.map((u) => u.factor));
+		const list = names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3} more` : names.join(', ');
+		return `Upscaled up to ${worst.toFixed(1)}× past native resolution, may look soft: ${list}`;
+	}
+
+	// Offscreen scene at output size: full-resolution background plus every layer mapped from the preview
+	async function buildExportScene({ sizeSel, cropSquare, maskShape = 'none' }, source = getLiveExportSource()) {
+		if (!source.renderBackground && !source.layers.length) throw new Error('Nothing to export');
+		// A mask cut-out is always a square with transparency
+		const masked = !!maskShape && maskShape !== 'none';
+		if (masked) cropSquare = true;
+		const { outW, outH } = getExportSize(sizeSel, cropSquare, source.doc);
+
+		// Prepare an offscreen Fabric StaticCanvas for crisp output
+		const staticCanvas = new fabric.StaticCanvas(null, { 
+			width: outW, 
+			height: outH, 
+			enableRetinaScaling: false,
+			imageSmoothingEnabled: true
+		});
+
+		// Use cover scaling if center-crop is enabled, otherwise contain to match preview
+		const cover = !!cropSquare;
+		// Background: template fill and photo edits re-applied to the full-resolution original at output size
+		if (source.renderBackground) {
+			const bgImage = new fabric.Image(source.renderBackground(outW, outH, { cover }), { 
+				selectable: false, 
+				evented: false,
+				objectCaching: false
+			});
+			staticCanvas.add(bgImage);
+		}
+
+		// Map stickers from preview coordinates to export coordinates
+		const { scale, offsetX, offsetY } = getExportMapping(outW, outH, cover, source.preview);
+		const objs = source.layers;
+		// Text layers measure with webfonts; make sure they are ready before rendering
+		if (document.fonts && objs.some(isTextObject)) await document.fonts.ready;
+		for (const o of objs) {
+			// Images share their decoded element; vector layers (text, groups) are cloned so they re-render crisply at export scale
+			const clone = o.type === 'image'
+				? fabric.util.object.clone(o)
+				: await new Promise((resolve) => o.clone(resolve, SERIALIZE_PROPS));
+			if (o.type === 'group') shareImageElements(clone, o);
+			// Erased areas: give the export its own clip path rather than sharing the live one's cache
+			if (o.type === 'image' && o.clipPath) clone.clipPath = await new Promise((resolve) => o.clipPath.clone(resolve, ['inverted', 'absolutePositioned', 'data']));
+			const t = getCanvasTransform(o);
+			clone.set({
+				left: t.left * scale + offsetX,
+				top: t.top * scale + offsetY,
+				scaleX: t.scaleX * scale,
+				scaleY: t.scaleY * scale,
+				originX: t.originX,
+				originY: t.originY,
+				angle: t.angle,
+				skewX: t.skewX,
+				skewY: t.skewY,
+				flipX: t.flipX,
+				flipY: t.flipY,
+				opacity: o.opacity == null ? 1 : o.opacity,
+				globalCompositeOperation: o.globalCompositeOperation || 'source-over',
+				group: undefined
+			});
+			// Uniform strokes ignore object scale, so they need the export scale applied directly
+			if (clone.strokeUniform && clone.strokeWidth) clone.set('strokeWidth', clone.strokeWidth * scale);
+			staticCanvas.add(clone);
+		}
+		return { staticCanvas, outW, outH, masked, maskShape };
+	}
+
+	function renderExportScene(scene) {
+		scene.staticCanvas.renderAll();
+		const output = scene.staticCanvas.toCanvasElement();
+		return scene.masked ? applyAvatarMask(output, scene.maskShape) : output;
+	}
+
+	function canvasToBlob(canvas, mime, quality) {
+		return new Promise((resolve) => canvas.toBlob(resolve, mime, quality));
+	}
+
+	// encode(canvas, mime, quality) → Blob; batch exports hand this to a worker
+	// metadata: 'strip' drops the photo's EXIF, 'camera' keeps it without location, 'all' keeps GPS too
+	async function exportImage({ sizeSel, fmt, cropSquare, quality, maskShape = 'none', metadata = 'strip' }, { encode = canvasToBlob, source = getLiveExportSource() } = {}) {
+		const scene = await buildExportScene({ sizeSel, cropSquare, maskShape }, source);
+		const { outW, outH } = scene;
+		if (scene.masked && fmt === 'jpg') fmt = 'png';
+		const output = renderExportScene(scene);
+
+		let blob;
+		let ext;
+		// If output is JPG, set opaque white background to avoid black transparency
+		if (fmt === 'jpg') {
+			const tmpCanvas = document.createElement('canvas');
+			tmpCanvas.width = outW;
+			tmpCanvas.height = outH;
+			const tctx = tmpCanvas.getContext('2d');
+			tctx.fillStyle = '#ffffff';
+			tctx.fillRect(0, 0, outW, outH);
+			tctx.drawImage(output, 0, 0);
+			blob = await encode(tmpCanvas, 'image/jpeg', clamp(quality, 0, 1));
+			ext = 'jpg';
+		} else if (fmt === 'webp') {
+			blob = await encode(output, 'image/webp', clamp(quality, 0, 1));
+			ext = 'webp';
+		} else {
+			// PNG default
+			blob = await encode(output, 'image/png');
+			ext = 'png';
+		}
+		// Canvas encoders never write metadata, so any kept EXIF is copied over from the source photo
+		if (metadata !== 'strip' && source.photoBlob && blob.type === `image/${ext === 'jpg' ? 'jpeg' : ext}`) {
+			const info = await readPhotoExif(source.photoBlob);
+			const tiff = buildExportExif(info && info.exif, metadata);
+			if (tiff) blob = await embedExif(blob, ext, tiff, outW, outH);
+		}
+		return { blob, width: outW, height: outH, ext };
+	}
+
+	// Renders the scene over time and encodes it; plays counts whole plays (0 = forever)
+	async function exportAnimation({ sizeSel, cropSquare, maskShape = 'none', fmt, fps, duration, plays, quality }, onProgress) {
+		const scene = await buildExportScene({ sizeSel, cropSquare, maskShape });
+		const { outW, outH } = scene;
+		const frameCount = Math.max(2, Math.round(duration * fps));
+		const frameMs = 1000 / fps;
+		const encoder = fmt === 'webp'
+			? createWebpAnimationEncoder(outW, outH, { plays, quality })
+			: createGifEncoder(outW, outH, { plays });
+		attachMotionRendering(scene.staticCanvas);
+		const liveTime = animationTime;
+		animationPaused = true;
+		try {
+			for (let i = 0; i < frameCount; i++) {
+				animationTime = i * frameMs;
+				// Export clones share the live layers' frame canvases
+				forEachLayerDeep((o) => drawSpriteFrame(o, animationTime));
+				// Cumulative rounding keeps the total duration exact with centisecond GIF delays
+				const delay = Math.round((i + 1) * frameMs) - Math.round(i * frameMs);
+				await encoder.addFrame(renderExportScene(scene), delay);
+				if (onProgress) onProgress(i + 1, frameCount);
+				await new Promise((resolve) => setTimeout(resolve, 0));
+			}
+		} finally {
+			animationTime = liveTime;
+			animationPaused = false;
+		}
+		return { blob: encoder.finish(), width: outW, height: outH, ext: fmt === 'webp' ? 'webp' : 'gif' };
+	}
+
+	/** Project Files **/
+	const PROJECT_FORMAT = 'mmga-project';
+	const PROJECT_VERSION = 1;
+	const MASK_SHAPES = ['none', 'circle', 'rounded', 'hexagon'];
+	const ANIMATION_FPS = [10, 15, 20, 25];
+	const ANIMATION_LOOPS = [0, 1, 3];
+
+	// Keeps only the export settings this editor knows, with values its dialogs can show; files may come from anywhere
+	function readExportSettings(raw) {
+		const settings = {};
+		if (!raw || typeof raw !== 'object') return settings;
+		const sizes = ['original', ...EXPORT_SIZES.map((o) => o.value)];
+		const formats = EXPORT_FORMATS.map((o) => o.value);
+		const isBool = (v) => typeof v === 'boolean';
+		const checks = {
+			sizeSel: (v) => sizes.includes(v),
+			fmt: (v) => formats.includes(v),
+			cropSquare: isBool,
+			applyMask: isBool,
+			quality: (v) => Number.isFinite(v) && v >= 0 && v <= 1,
+			maskShape: (v) => MASK_SHAPES.includes(v),
+			metadata: (v) => EXPORT_METADATA_OPTIONS.some((o) => o.value === v)
+		};
+		Object.entries(checks).forEach(([key, ok]) => {
+			if (ok(raw[key])) settings[key] = raw[key];
+		});
+		const batch = raw.batch;
+		if (batch && Array.isArray(batch.sizes) && Array.isArray(batch.formats)) {
+			settings.batch = {
+				sizes: batch.sizes.filter((v) => sizes.includes(v)),
+				formats: batch.formats.filter((v) => formats.includes(v))
+			};
+		}
+		const anim = raw.animation;
+		if (anim && ['gif', 'webp'].includes(anim.fmt) && ANIMATION_FPS.includes(anim.fps) && ANIMATION_LOOPS.includes(anim.loop)) {
+			settings.animation = { fmt: anim.fmt, fps: anim.fps, loop: anim.loop };
+		}
+		return settings;
+	}
+
+	// Project files are shared around: the photo must be inline and layer images inline or from this site,
+	// so opening one never fetches a remote URL or taints the canvas for export
+	function checkProjectSources(project) {
+		const dataUrl = project.photo && project.photo.dataUrl;
+		if (dataUrl && !(typeof dataUrl === 'string' && /^(data|blob):/i.test(dataUrl))) {
+			throw new Error('This project links its photo from another site and cannot be opened');
+		}
+		if (project.layers !== undefined && !Array.isArray(project.layers)) throw new Error('This project file is damaged');
+		if ((project.layers || []).some(hasForeignSource)) {
+			throw new Error('This project loads images from another site and cannot be opened');
+		}
+	}
+
+	// Snapshot of everything needed to rebuild the canvas: photo bytes, layers and export settings
+	async function serializeProject() {
+		let photo = null;
+		if (originalImage) {
+			const dataUrl = originalImageBlob
+				? await blobToDataURL(originalImageBlob)
+				: imageElementToDataURL(originalImage);
+			photo = { dataUrl, naturalWidth: originalImageNaturalWidth, naturalHeight: originalImageNaturalHeight };
+		}
+		const json = fabricCanvas.toJSON(SERIALIZE_PROPS);
+		const liveObjects = fabricCanvas.getObjects();
+		// Inline layer bitmaps so the bundle does not depend on sticker URLs
+		const layers = (json.objects || []).map((o, i) => {
+			const live = liveObjects[i];
+			if (o.type === 'image' && live && live.getElement && !/^data:/.test(o.src || '')) {
+				try {
+					o.src = imageElementToDataURL(live._originalElement || live.getElement());
+				} catch (e) {
+					console.warn('Could not inline layer image, keeping URL:', o.src, e);
+				}
+			}
+			return o;
+		});
+		// Animated originals too; data is shared with the live layer, so copy before rewriting
+		for (const o of layers) {
+			if (!o.data || !o.data.animSrc || /^data:/.test(o.data.animSrc)) continue;
+			try {
+				o.data = { ...o.data, animSrc: await blobToDataURL(await (await fetch(o.data.animSrc)).blob()) };
+			} catch (e) {
+				console.warn('Could not inline animated sticker, keeping URL:', o.data.animSrc, e);
+			}
+		}
+		return {
+			format: PROJECT_FORMAT,
+			version: PROJECT_VERSION,
+			savedAt: new Date().toISOString(),
+			canvas: { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() },
+			photo,
+			layers,
+			template: canvasTemplate,
+			photoEdits: { ...photoEdits },
+			exportSettings: { ...exportSettings }
+		};
+	}
+
+	async function loadProject(project) {
+		if (!project || project.format !== PROJECT_FORMAT) throw new Error('Not an MMGA project file');
+		if (project.version > PROJECT_VERSION) throw new Error('Project was saved by a newer editor version');
+		checkProjectSources(project);
+		// Decode the photo and build the layers first so a broken file leaves the open document untouched
+		let photo = null;
+		if (project.photo && (project.photo.dataUrl || project.photo.blob)) {
+			const photoBlob = project.photo.blob || await (await fetch(project.photo.dataUrl)).blob();
+			photo = await importPhoto(photoBlob);
+		}
+		const layers = project.layers || [];
+		const objects = await enlivenLayers(layers);
+		if (objects.filter(Boolean).length !== layers.length) throw new Error('Some layers in this project could not be loaded');
+		historySuspended = true;
+		currentSessionId = null;
+		try {
+			fabricCanvas.clear();
+			fabricCanvas.setBackgroundImage(null, () => {});
+			originalImage = photo ? photo.image : null;
+			originalImageBlob = photo ? photo.blob : null;
+			originalImageNaturalWidth = photo ? photo.width : 0;
+			originalImageNaturalHeight = photo ? photo.height : 0;
+			photoEdits = photo ? { ...defaultPhotoEdits(), ...(project.photoEdits || {}) } : defaultPhotoEdits();
+			canvasTemplate = project.template || null;
+			if (project.canvas) {
+				fabricCanvas.setWidth(project.canvas.width);
+				fabricCanvas.setHeight(project.canvas.height);
+			}
+			await refreshBackground();
+			if (originalImage) detectFaces();
+			objects.forEach((o) => fabricCanvas.add(o));
+			Object.assign(exportSettings, readExportSettings(project.exportSettings));
+			if (avatarMaskSelect) avatarMaskSelect.value = exportSettings.maskShape || 'none';
+		} finally {
+			historySuspended = false;
+		}
+		syncPhotoToolbar();
+		resetHistory();
+		fitToView();
+		const instructions = document.getElementById('canvasInstructions');
+		if (instructions) instructions.classList.toggle('hidden', !hasDocument() && !fabricCanvas.getObjects().length);
+	}
+
+	async function saveProjectFile() {
+		if (!hasDocument() && !fabricCanvas.getObjects().length) {
+			showNotification('Nothing to save yet', 'error');
+			return;
+		}
+		try {
+			const project = await serializeProject();
+			const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+			downloadBlob(blob, `mmga_project_${getTimestamp()}.mmga`);
+			showNotification('Project saved', 'success');
+		} catch (e) {
+			console.error(e);
+			showNotification('Failed to save project', 'error');
+		}
+	}
+
+	async function openProjectFile(file) {
+		try {
+			const project = JSON.parse(await file.text());
+			await loadProject(project);
+			showNotification('Project opened', 'success');
+		} catch (e) {
+			console.error(e);
+			showNotification(e.message || 'Failed to open project', 'error');
+		}
+	}
+
+	function resetProject() {
+		if (!fabricCanvas) return;
+		fabricCanvas.clear();
+		fabricCanvas.setBackgroundImage(null, () => {});
+		originalImage = null;
+		originalImageBlob = null;
+		originalImageNaturalWidth = 0;
+		originalImageNaturalHeight = 0;
+		photoEdits = defaultPhotoEdits();
+		canvasTemplate = null;
+		syncPhotoToolbar();
+		currentSessionId = null;
+		resetHistory();
+		setOneToOne();
+		showNotification('Project reset');
+		// Show canvas instructions again
+		const instructions = document.getElementById('canvasInstructions');
+		if (instructions) instructions.classList.remove('hidden');
+	}
+
+	/** Autosave & Recovery (IndexedDB) **/
+	const DB_NAME = 'mmga-editor';
+	const DB_VERSION = 3;
+	const SESSION_STORE = 'sessions';
+	const STICKER_STORE = 'stickers';
+	const PRESET_STORE = 'presets';
+	const maxRecentSessions = 8;
+	let dbPromise = null;
+	let currentSessionId = null;
+	let autosavePaused = false; // set while batch mode has the canvas, so batch photos never become sessions
+
+	function openEditorDb() {
+		if (!('indexedDB' in window)) return Promise.reject(new Error('IndexedDB not available'));
+		if (!dbPromise) {
+			dbPromise = new Promise((resolve, reject) => {
+				const req = indexedDB.open(DB_NAME, DB_VERSION);
+				req.onupgradeneeded = () => {
+					const db = req.result;
+					if (!db.objectStoreNames.contains(SESSION_STORE)) {
+						db.createObjectStore(SESSION_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+					}
+					if (!db.objectStoreNames.contains(STICKER_STORE)) {
+						db.createObjectStore(STICKER_STORE, { keyPath: 'id' });
+					}
+					if (!db.objectStoreNames.contains(PRESET_STORE)) {
+						db.createObjectStore(PRESET_STORE, { keyPath: 'id' });
+					}
+				};
+				req.onsuccess = () => {
+					const db = req.result;
+					// A newer version of the editor in another tab needs to upgrade; let it, and reopen on next use
+					db.onversionchange = () => {
+						db.close();
+						dbPromise = null;
+						showNotification('The editor was updated in another tab; reload this one to keep saving', 'info');
+					};
+					resolve(db);
+				};
+				req.onerror = () => reject(req.error);
+				// Another tab still holds the old version open; the upgrade continues once it closes or reloads
+				req.onblocked = () => showNotification('Close or reload other editor tabs to finish updating saved data', 'info');
+			});
+			dbPromise.catch(() => { dbPromise = null; });
+		}
+		return dbPromise;
+	}
+
+	// Runs fn(store) in a transaction and resolves with the request result once it commits
+	async function idbRun(storeName, mode, fn) {
+		const db = await openEditorDb();
+		return new Promise((resolve, reject) => {
+			const tx = db.transaction(storeName, mode);
+			const req = fn(tx.objectStore(storeName));
+			tx.oncomplete = () => resolve(req ? req.result : undefined);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+		});
+	}
+
+	function listSessions() {
+		return idbRun(SESSION_STORE, 'readonly', (store) => store.getAll())
+			.then((all) => all.sort((a, b) => b.updatedAt - a.updatedAt));
+	}
+
+	function deleteSession(id) {
+		return idbRun(SESSION_STORE, 'readwrite', (store) => store.delete(id));
+	}
+
+	function renderCanvasThumbnail(maxEdge = 160) {
+		const multiplier = maxEdge / Math.max(fabricCanvas.getWidth(), fabricCanvas.getHeight());
+		return renderSceneToCanvas({ multiplier }).toDataURL('image/jpeg', 0.7);
+	}
+
+	async function autosaveSession() {
+		if (!fabricCanvas || historySuspended || autosavePaused) return;
+		if (!hasDocument() && !fabricCanvas.getObjects().length) return;
+		const json = fabricCanvas.toDatalessJSON(SERIALIZE_PROPS);
+		if (!currentSessionId) currentSessionId = `s_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+		const record = {
+			id: currentSessionId,
+			updatedAt: Date.now(),
+			canvas: { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() },
+			photoBlob: originalImageBlob,
+			photoSize: { width: originalImageNaturalWidth, height: originalImageNaturalHeight },
+			photoEdits: { ...photoEdits },
+			template: canvasTemplate,
+			json,
+			exportSettings: { ...exportSettings },
+			thumb: renderCanvasThumbnail()
+		};
+		try {
+			await idbRun(SESSION_STORE, 'readwrite', (store) => store.put(record));
+			const sessions = await listSessions();
+			for (const old of sessions.slice(maxRecentSessions)) await deleteSession(old.id);
+		} catch (e) {
+			console.warn('Autosave failed:', e);
+		}
+	}
+
+	const scheduleAutosave = debounce(autosaveSession, 1500);
+
+	async function restoreSession(session) {
+		// Older snapshots may reference the photo by a revoked blob URL; the stored blob replaces it
+		const { backgroundImage, ...json } = session.json || {};
+		await loadProject({
+			format: PROJECT_FORMAT,
+			version: PROJECT_VERSION,
+			canvas: session.canvas,
+			photo: session.photoBlob
+				? { blob: session.photoBlob, naturalWidth: session.photoSize.width, naturalHeight: session.photoSize.height }
+				: null,
+			layers: json.objects || [],
+			photoEdits: session.photoEdits || json.photoEdits,
+			template: session.template || null,
+			exportSettings: session.exportSettings
+		});
+		currentSessionId = session.id;
+		showNotification('Session restored', 'success');
+	}
+
+	function formatSessionDate(ts) {
+		return new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+	}
+
+	async function openRecentSessionsDialog() {
+		let sessions = [];
+		try {
+			sessions = await listSessions();
+		} catch (e) {
+			console.error(e);
+			showNotification('Recent sessions are unavailable in this browser', 'error');
+			return;
+		}
+		const { body, close } = createDialog('Recent sessions');
+		if (!sessions.length) {
+			body.innerHTML = '<p style="margin:0; opacity:0.8;">No saved sessions yet.</p>';
+			return;
+		}
+		sessions.forEach((session) => {
+			const row = document.createElement('div');
+			row.style.cssText = 'display:flex; gap:12px; align-items:center;';
+			row.innerHTML = `
+				<img alt="" style="width:64px; height:64px; object-fit:contain; background:#000; border-radius:6px;" />
+				<div style="flex:1; min-width:0;">
+					<div style="font-weight:600;"></div>
+					<div style="font-size:12px; opacity:0.7;"></div>
+				</div>
+				<button class="btn-view" data-action="open">Open</button>
+				<button class="btn-view" data-action="delete">Delete</button>
+			`;
+			row.querySelector('img').src = session.thumb || '';
+			row.querySelector('div > div').textContent = formatSessionDate(session.updatedAt);
+			const layerCount = ((session.json && session.json.objects) || []).length;
+			row.querySelector('div > div + div').textContent = `${session.canvas.width}×${session.canvas.height} · ${layerCount} layer${layerCount === 1 ? '' : 's'}${session.id === currentSessionId ? ' · current' : ''}`;
+			row.querySelector('[data-action="open"]').onclick = async () => {
+				close();
+				try {
+					await restoreSession(session);
+				} catch (e) {
+					console.error(e);
+					showNotification('Failed to restore session', 'error');
+				}
+			};
+			row.querySelector('[data-action="delete"]').onclick = async () => {
+				try {
+					await deleteSession(session.id);
+				} catch (e) {
+					console.error(e);
+					showNotification('Failed to delete session', 'error');
+					return;
+				}
+				if (session.id === currentSessionId) currentSessionId = null;
+				row.remove();
+				if (!body.children.length) body.innerHTML = '<p style="margin:0; opacity:0.8;">No saved sessions yet.</p>';
+			};
+			body.appendChild(row);
+		});
+	}
+
+	async function offerSessionRestore() {
+		let latest = null;
+		try {
+			latest = (await listSessions())[0];
+		} catch {
+			return;
+		}
+		if (!latest || hasDocument() || fabricCanvas.getObjects().length) return;
+		const { body, close } = createDialog('Restore your last session?');
+		body.innerHTML = `
+			<img alt="" style="max-width:240px; max-height:240px; justify-self:center; object-fit:contain; background:#000; border-radius:8px;" />
+			<p style="margin:0; opacity:0.8; text-align:center;"></p>
+			<div style="display:flex; gap:8px; justify-content:flex-end;">
+				<button class="btn-view" data-action="dismiss">Start fresh</button>
+				<button class="btn-view" data-action="restore">Restore</button>
+			</div>
+		`;
+		body.querySelector('img').src = latest.thumb || '';
+		body.querySelector('p').textContent = `Last edited ${formatSessionDate(latest.updatedAt)}`;
+		body.querySelector('[data-action="dismiss"]').onclick = close;
+		body.querySelector('[data-action="restore"]').onclick = async () => {
+			close();
+			try {
+				await restoreSession(latest);
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to restore session', 'error');
+			}
+		};
+	}
+
+	/** Style Presets (reusable layer layouts, stored in IndexedDB) **/
+	// Each layer keeps its place as fractions of the canvas, and optionally of the face it sat on,
+	// so a preset adapts to photos of other sizes and aspect ratios
+	const PRESET_FORMAT = 'mmga-presets';
+	const PRESET_VERSION = 1;
+	const PRESET_RELATIVE = { auto: 'Canvas, anchored stickers follow the face', canvas: 'Canvas only', face: 'Detected face (all layers)' };
+
+	function listPresets() {
+		return idbRun(PRESET_STORE, 'readonly', (store) => store.getAll())
+			.then((all) => all.sort((a, b) => a.name.localeCompare(b.name)));
+	}
+
+	function putPreset(record) {
+		return idbRun(PRESET_STORE, 'readwrite', (store) => store.put(record));
+	}
+
+	function deletePreset(id) {
+		return idbRun(PRESET_STORE, 'readwrite', (store) => store.delete(id));
+	}
+
+	// Centre, size unit and upright angle of the active face on the canvas
+	function getFaceFrame(face = getActiveFace(), toCanvas = photoPointToCanvas) {
+		if (!face) return null;
+		const { point, width, angle } = getFaceTarget(face, 'centre', toCanvas);
+		return { x: point.x, y: point.y, unit: width, angle };
+	}
+
+	function getCanvasFrame() {
+		const w = fabricCanvas.getWidth();
+		const h = fabricCanvas.getHeight();
+		return { w, h, unit: Math.min(w, h) };
+	}
+
+	// Layer centre/scale/angle → placement relative to a frame, and back
+	function toFramePlacement(o, frame) {
+		const c = o.getCenterPoint();
+		if (frame.w) {
+			return { x: c.x / frame.w, y: c.y / frame.h, scaleX: o.scaleX / frame.unit, scaleY: o.scaleY / frame.unit, angle: o.angle || 0 };
+		}
+		const rad = -frame.angle * Math.PI / 180;
+		const dx = c.x - frame.x;
+		const dy = c.y - frame.y;
+		return {
+			x: (dx * Math.cos(rad) - dy * Math.sin(rad)) / frame.unit,
+			y: (dx * Math.sin(rad) + dy * Math.cos(rad)) / frame.unit,
+			scaleX: o.scaleX / frame.unit,
+			scaleY: o.scaleY / frame.unit,
+			angle: (o.angle || 0) - frame.angle
+		};
+	}
+
+	function fromFramePlacement(o, place, frame) {
+		let point;
+		let angle = place.angle;
+		if (frame.w) {
+			point = new fabric.Point(place.x * frame.w, place.y * frame.h);
+		} else {
+			const rad = frame.angle * Math.PI / 180;
+			const dx = place.x * frame.unit;
+			const dy = place.y * frame.unit;
+			point = new fabric.Point(frame.x + dx * Math.cos(rad) - dy * Math.sin(rad), frame.y + dx * Math.sin(rad) + dy * Math.cos(rad));
+			angle += frame.angle;
+		}
+		o.set({ scaleX: place.scaleX * frame.unit, scaleY: place.scaleY * frame.unit, angle: ((angle % 360) + 360) % 360 });
+		o.setPositionByOrigin(point, 'center', 'center');
+		o.setCoords();
+	}
+
+	function capturePresetLayers(relativeTo) {
+		fabricCanvas.discardActiveObject();
+		const canvasFrame = getCanvasFrame();
+		const faceFrame = getFaceFrame();
+		return fabricCanvas.getObjects().map((o) => {
+			const object = fabricCanvas._toObject(o, 'toDatalessObject', SERIALIZE_PROPS);
+			if (object.data) {
+				const { uid, presetId, ...data } = object.data;
+				object.data = data;
+			}
+			const layer = { object, canvas: toFramePlacement(o, canvasFrame) };
+			const followsFace = relativeTo === 'face' || (relativeTo === 'auto' && o.data && o.data.anchor);
+			if (faceFrame && followsFace) layer.face = toFramePlacement(o, faceFrame);
+			return layer;
+		});
+	}
+
+	function isKnownLayerType(type) {
+		if (typeof type !== 'string') return false;
+		const klass = fabric[fabric.util.string.capitalize(fabric.util.string.camelize(type), true)];
+		return !!klass && typeof klass.fromObject === 'function';
+	}
+
+	function isPlacement(p) {
+		return !!p && ['x', 'y', 'scaleX', 'scaleY', 'angle'].every((k) => Number.isFinite(p[k]));
+	}
+
+	// True when a layer (or its group members, clip path or pattern fills) loads an image that is not inline or from this site
+	function hasForeignSource(object) {
+		if (!object || typeof object !== 'object') return false;
+		if (object.src !== undefined && !(typeof object.src === 'string' && isSameOriginUrl(object.src))) return true;
+		if (['fill', 'stroke'].some((k) => object[k] && typeof object[k] === 'object' && object[k].source !== undefined
+			&& !(typeof object[k].source === 'string' && isSameOriginUrl(object[k].source)))) return true;
+		return (Array.isArray(object.objects) && object.objects.some(hasForeignSource)) || hasForeignSource(object.clipPath);
+	}
+
+	// Returns the preset or an error string
+	function validatePreset(preset) {
+		if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return 'missing name';
+		if (!Array.isArray(preset.layers) || !preset.layers.length) return `"${preset.name}" has no layers`;
+		const bad = preset.layers.findIndex((l) => !l || !l.object || !isKnownLayerType(l.object.type)
+			|| !isPlacement(l.canvas) || (l.face && !isPlacement(l.face)));
+		if (bad >= 0) return `"${preset.name}" layer ${bad + 1} is invalid`;
+		const foreign = preset.layers.findIndex((l) => hasForeignSource(l.object));
+		if (foreign >= 0) return `"${preset.name}" layer ${foreign + 1} loads an image from another site`;
+		return { name: preset.name.trim().slice(0, 80), layers: preset.layers };
+	}
+
+	async function savePresetFromCanvas(name, relativeTo) {
+		if (!fabricCanvas.getObjects().length) {
+			showNotification('Add some layers before saving a preset', 'error');
+			return null;
+		}
+		if (relativeTo !== 'canvas' && originalImage) await detectFaces();
+		if (relativeTo === 'face' && !getFaceFrame()) {
+			showNotification('No face detected; layers will be placed relative to the canvas', 'info');
+		}
+		const record = {
+			id: `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+			name: name.trim().slice(0, 80) || 'Untitled preset',
+			createdAt: Date.now(),
+			autoApply: false,
+			layers: capturePresetLayers(relativeTo)
+		};
+		await putPreset(record);
+		showNotification(`Saved preset "${record.name}"`, 'success');
+		return record;
+	}
+
+	// Adds the layers placed for the current photo; layers from an earlier run of the same preset are replaced
+	async function placePresetLayers(layers, presetId) {
+		if (originalImage) await detectFaces();
+		const canvasFrame = getCanvasFrame();
+		const faceFrame = getFaceFrame();
+		const objects = await enlivenLayers(layers.map((l) => l.object));
+		fabricCanvas.discardActiveObject();
+		const previous = fabricCanvas.getObjects().filter((o) => o.data && o.data.presetId === presetId);
+		if (previous.length) fabricCanvas.remove(...previous);
+		objects.forEach((o, i) => {
+			const layer = layers[i];
+			if (faceFrame && layer.face) fromFramePlacement(o, layer.face, faceFrame);
+			else fromFramePlacement(o, layer.canvas, canvasFrame);
+			o.data = { ...(o.data || {}), presetId };
+			fabricCanvas.add(o);
+		});
+		fabricCanvas.requestRenderAll();
+	}
+
+	// Places every layer of the preset as one history step
+	async function applyPreset(record) {
+		await placePresetLayers(record.layers, record.id);
+		pushHistory(`Apply preset "${record.name}"`, []);
+		const instructions = document.getElementById('canvasInstructions');
+		if (instructions) instructions.classList.add('hidden');
+	}
+
+	// Called after a new photo is loaded
+	async function autoApplyPreset() {
+		try {
+			const preset = (await listPresets()).find((p) => p.autoApply);
+			if (preset) await applyPreset(preset);
+		} catch (e) {
+			console.warn('Could not auto-apply preset:', e);
+		}
+	}
+
+	function exportPresets(records) {
+		const file = {
+			format: PRESET_FORMAT,
+			version: PRESET_VERSION,
+			exportedAt: new Date().toISOString(),
+			presets: records.map(({ name, layers }) => ({ name, layers }))
+		};
+		const slug = records.length === 1 ? records[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : 'presets';
+		downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `mmga_${slug || 'preset'}.json`);
+	}
+
+	async function importPresetFile(file) {
+		const parsed = JSON.parse(await file.text());
+		if (!parsed || parsed.format !== PRESET_FORMAT) throw new Error('Not an MMGA preset file');
+		if (parsed.version > PRESET_VERSION) throw new Error('Presets were saved by a newer editor version');
+		const problems = [];
+		let imported = 0;
+		for (const entry of parsed.presets || []) {
+			const preset = validatePreset(entry);
+			if (typeof preset === 'string') {
+				problems.push(preset);
+				continue;
+			}
+			await putPreset({
+				id: `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+				createdAt: Date.now(),
+				autoApply: false,
+				...preset
+			});
+			imported++;
+		}
+		if (problems.length) console.warn('Skipped presets:', problems);
+		showNotification(`Imported ${imported} preset${imported === 1 ? '' : 's'}${problems.length ? `, skipped ${problems.length}` : ''}`, imported ? 'success' : 'error');
+	}
+
+	async function openPresetsDialog() {
+		try {
+			await openEditorDb();
+		} catch (e) {
+			console.error(e);
+			showNotification('Presets are unavailable in this browser', 'error');
+			return;
+		}
+		const { body, close } = createDialog('Style presets');
+		const rowStyle = 'display:flex; gap:8px; align-items:center; justify-content:space-between;';
+		body.innerHTML = `
+			<label style="${rowStyle}">
+				<span>Name</span>
+				<input type="text" id="presetName" class="search-input" maxlength="80" placeholder="Hat + flag + caption" style="flex:1;" />
+			</label>
+			<label style="${rowStyle}">
+				<span>Positions</span>
+				<select id="presetRelative" class="btn btn-secondary">
+					${Object.entries(PRESET_RELATIVE).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+				</select>
+			</label>
+			<button class="btn btn-primary" id="presetSaveBtn">Save current layout</button>
+			<div id="presetList" style="display:grid; gap:8px; border-top:1px solid rgba(255,255,255,0.15); padding-top:10px;"></div>
+			<div style="display:flex; gap:8px; justify-content:flex-end;">
+				<button class="btn-view" id="presetImportBtn">Import JSON…</button>
+				<button class="btn-view" id="presetExportAllBtn">Export all</button>
+			</div>
+			<input type="file" id="presetImportInput" accept="application/json,.json" style="display:none;" />
+		`;
+		const list = body.querySelector('#presetList');
+		const render = async () => {
+			let presets;
+			try {
+				presets = await listPresets();
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to load presets', 'error');
+				return;
+			}
+			list.innerHTML = presets.length ? '' : '<p style="margin:0; opacity:0.8;">No presets yet.</p>';
+			presets.forEach((preset) => {
+				const row = document.createElement('div');
+				row.style.cssText = 'display:flex; gap:8px; align-items:center;';
+				row.innerHTML = `
+					<div style="flex:1; min-width:0;">
+						<div style="font-weight:600; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;"></div>
+						<label style="font-size:12px; opacity:0.8; display:flex; gap:6px; align-items:center;">
+							<input type="checkbox" data-action="auto" /> Apply to new photos
+						</label>
+					</div>
+					<button class="btn-view" data-action="apply">Apply</button>
+					<button class="btn-view" data-action="export">Export</button>
+					<button class="btn-view" data-action="delete">Delete</button>
+				`;
+				row.querySelector('div > div').textContent = `${preset.name} · ${preset.layers.length} layer${preset.layers.length === 1 ? '' : 's'}`;
+				const auto = row.querySelector('[data-action="auto"]');
+				auto.checked = !!preset.autoApply;
+				// Only one preset is applied automatically
+				auto.onchange = async () => {
+					try {
+						for (const p of presets) {
+							const on = p.id === preset.id && auto.checked;
+							if (!!p.autoApply !== on) await putPreset({ ...p, autoApply: on });
+						}
+					} catch (e) {
+						console.error(e);
+						showNotification('Failed to update preset', 'error');
+					}
+					render();
+				};
+				row.querySelector('[data-action="apply"]').onclick = async () => {
+					close();
+					try {
+						await applyPreset(preset);
+					} catch (e) {
+						console.error(e);
+						showNotification('Failed to apply preset', 'error');
+					}
+				};
+				row.querySelector('[data-action="export"]').onclick = () => exportPresets([preset]);
+				row.querySelector('[data-action="delete"]').onclick = async () => {
+					try {
+						await deletePreset(preset.id);
+					} catch (e) {
+						console.error(e);
+						showNotification('Failed to delete preset', 'error');
+					}
+					render();
+				};
+				list.appendChild(row);
+			});
+		};
+		body.querySelector('#presetSaveBtn').onclick = async () => {
+			try {
+				if (await savePresetFromCanvas(body.querySelector('#presetName').value, body.querySelector('#presetRelative').value)) {
+					body.querySelector('#presetName').value = '';
+					render();
+				}
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to save preset', 'error');
+			}
+		};
+		const importInput = body.querySelector('#presetImportInput');
+		body.querySelector('#presetImportBtn').onclick = () => importInput.click();
+		importInput.onchange = async () => {
+			const file = importInput.files && importInput.files[0];
+			importInput.value = '';
+			if (!file) return;
+			try {
+				await importPresetFile(file);
+			} catch (e) {
+				console.error(e);
+				showNotification(e.message || 'Failed to import presets', 'error');
+			}
+			render();
+		};
+		body.querySelector('#presetExportAllBtn').onclick = async () => {
+			try {
+				const presets = await listPresets();
+				if (presets.length) exportPresets(presets);
+				else showNotification('No presets to export', 'info');
+			} catch (e) {
+				console.error(e);
+				showNotification('Failed to export presets', 'error');
+			}
+		};
+		render();
+	}
+
+	/** Image Worker (decode, downscale and encode off the main thread) **/
+	// Runs on OffscreenCanvas where the browser supports it; callers fall back to the main thread where it does not.
+	let imageWorker = null; // null = not created yet, false = unavailable
+	let imageWorkerSeq = 0;
+	const imageWorkerJobs = new Map();
+
+	// Bundled WASM decoders (see vendor/README.md); the worker runs from a blob: URL, so they are handed over as absolute URLs
+	const IMAGE_DECODERS = {
+		heic: { script: 'vendor/libheif/libheif.js', wasm: 'vendor/libheif/libheif.wasm' },
+		avif: { script: 'vendor/avif/avif_dec.js', wasm: 'vendor/avif/avif_dec.wasm' }
+	};
+
+	function getDecoderUrls() {
+		const urls = {};
+		Object.entries(IMAGE_DECODERS).forEach(([kind, files]) => {
+			urls[kind] = {
+				script: new URL(files.script, document.baseURI).href,
+				wasm: new URL(files.wasm, document.baseURI).href
+			};
+		});
+		return urls;
+	}
+
+	function imageWorkerMain() {
+		const decoders = {};
+
+		// libheif is a classic script exposing a factory; the module object it fills in is ready once the runtime initializes
+		function loadHeicDecoder(urls) {
+			return new Promise((resolve, reject) => {
+				importScripts(urls.script);
+				const module = {
+					locateFile: () => urls.wasm,
+					onRuntimeInitialized: () => resolve(module),
+					onAbort: (reason) => reject(new Error(`HEIC decoder failed to start: ${reason}`))
+				};
+				self.libheif(module);
+			});
+		}
+
+		async function loadAvifDecoder(urls) {
+			const { default: factory } = await import(urls.script);
+			return factory({ noInitialRun: true, locateFile: () => urls.wasm });
+		}
+
+		function getDecoder(kind, urls) {
+			if (!decoders[kind]) {
+				decoders[kind] = (kind === 'heic' ? loadHeicDecoder(urls[kind]) : loadAvifDecoder(urls[kind])).catch((err) => {
+					delete decoders[kind];
+					throw err;
+				});
+			}
+			return decoders[kind];
+		}
+
+		async function decodeHeic(buffer, urls) {
+			const libheif = await getDecoder('heic', urls);
+			const images = new libheif.HeifDecoder().decode(new Uint8Array(buffer));
+			const image = images.find((img) => img.is_primary()) || images[0];
+			if (!image) throw new Error('No image found in HEIC file');
+			const width = image.get_width();
+			const height = image.get_height();
+			// display() decodes with the container's rotation/mirror applied
+			const pixels = await new Promise((resolve) => {
+				image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, resolve);
+			});
+			images.forEach((img) => img.free());
+			if (!pixels) throw new Error('HEIC decode failed');
+			return new ImageData(pixels.data, width, height);
+		}
+
+		async function decodeAvif(buffer, urls) {
+			const avif = await getDecoder('avif', urls);
+			const pixels = avif.decode(buffer, 8);
+			if (!pixels) throw new Error('AVIF decode failed');
+			return pixels;
+		}
+
+		// The browser's own decoder first; HEIC and AVIF fall back to the bundled ones
+		async function decodeSource(blob, kind, urls) {
+			try {
+				// The re-encoded copy has no EXIF, so orientation has to be baked into its pixels here
+				return { bitmap: await createImageBitmap(blob, { imageOrientation: 'from-image' }), bundled: false };
+			} catch (err) {
+				if (kind !== 'heic' && kind !== 'avif') throw err;
+			}
+			const buffer = await blob.arrayBuffer();
+			const pixels = kind === 'heic' ? await decodeHeic(buffer, urls) : await decodeAvif(buffer, urls);
+			return { bitmap: await createImageBitmap(pixels), bundled: true };
+		}
+
+		self.onmessage = async (e) => {
+			const { id, type } = e.data;
+			try {
+				if (type === 'downscale') {
+					const { blob, kind, maxEdge, decoderUrls } = e.data;
+					const { bitmap, bundled } = await decodeSource(blob, kind, decoderUrls);
+					const ratio = Math.min(1, maxEdge / Math.max(bitmap.width, bitmap.height));
+					// converted: the browser cannot read the source itself, so callers should keep this copy instead
+					if (ratio === 1 && !bundled) {
+						bitmap.close();
+						self.postMessage({ id, blob, converted: false });
+						return;
+					}
+					const canvas = new OffscreenCanvas(Math.round(bitmap.width * ratio), Math.round(bitmap.height * ratio));
+					const ctx = canvas.getContext('2d');
+					ctx.imageSmoothingQuality = 'high';
+					ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+					bitmap.close();
+					// Only JPEG is known to be opaque; anything else may carry alpha (WebP falls back to PNG where it cannot be encoded)
+					const mime = kind === 'jpeg' ? 'image/jpeg' : 'image/webp';
+					self.postMessage({ id, blob: await canvas.convertToBlob({ type: mime, quality: 0.92 }), converted: bundled });
+				} else if (type === 'encode') {
+					const { bitmap, mime, quality } = e.data;
+					const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+					canvas.getContext('2d').drawImage(bitmap, 0, 0);
+					bitmap.close();
+					self.postMessage({ id, blob: await canvas.convertToBlob({ type: mime, quality }) });
+				} else {
+					throw new Error(`Unknown job ${type}`);
+				}
+			} catch (err) {
+				self.postMessage({ id, error: String((err && err.message) || err) });
+			}
+		};
+	}
+
+	function getImageWorker() {
+		if (imageWorker !== null) return imageWorker;
+		if (typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function') {
+			imageWorker = false;
+			return imageWorker;
+		}
+		try {
+			const url = URL.createObjectURL(new Blob([`(${imageWorkerMain.toString()})();`], { type: 'text/javascript' }));
+			imageWorker = new Worker(url);
+			URL.revokeObjectURL(url);
+			imageWorker.onmessage = (e) => {
+				const job = imageWorkerJobs.get(e.data.id);
+				if (!job) return;
+				imageWorkerJobs.delete(e.data.id);
+				if (e.data.error) job.reject(new Error(e.data.error));
+				else job.resolve(e.data);
+			};
+			imageWorker.onerror = (e) => {
+				console.warn('Image worker failed, continuing on the main thread:', e.message);
+				imageWorkerJobs.forEach((job) => job.reject(new Error('Image worker failed')));
+				imageWorkerJobs.clear();
+				imageWorker.terminate();
+				imageWorker = false;
+			};
+		} catch (e) {
+			console.warn('Could not start image worker:', e);
+			imageWorker = false;
+		}
+		return imageWorker;
+	}
+
+	function runImageJob(message, transfer = []) {
+		const worker = getImageWorker();
+		if (!worker) return Promise.reject(new Error('Workers unavailable'));
+		return new Promise((resolve, reject) => {
+			const id = ++imageWorkerSeq;
+			imageWorkerJobs.set(id, { resolve, reject });
+			worker.postMessage({ ...message, id }, transfer);
 		});
 	}
 
-	/** Toolbar Actions **/
-	function getActiveObject() {
-		return fabricCanvas.getActiveObject();
+	// → { blob, converted }; rejects when there is no worker or it cannot decode the file
+	function downscaleInWorker(blob, kind, maxEdge) {
+		return runImageJob({ type: 'downscale', blob, kind, maxEdge, decoderUrls: getDecoderUrls() });
 	}
 
-	function bringForward() {
-		const obj = getActiveObject();
-		if (!obj) return;
-		fabricCanvas.bringForward(obj, true);
-		fabricCanvas.requestRenderAll();
+	/** Batch (one layout applied to many photos, exported as a ZIP) **/
+	// Each photo is placed and composited on its own off-screen StaticCanvas, one at a time with a yield in
+	// between, so the editor's canvas and document stay untouched. Fabric needs the DOM, so that part runs on
+	// the main thread; sources are decoded and downscaled, and outputs encoded, in the image worker.
+	const BATCH_MAX_EDGE = 3000; // source photos are downscaled to this before being kept in memory
+	const BATCH_PRESET_ID = 'batch-layout';
+
+	// Files the worker cannot decode go through unchanged; the photo loader reports why
+	async function downscaleBatchPhoto(file) {
+		try {
+			return (await downscaleInWorker(file, await sniffPhotoKind(file), BATCH_MAX_EDGE)).blob;
+		} catch {
+			return file;
+		}
 	}
 
-	function sendBackward() {
-		const obj = getActiveObject();
-		if (!obj) return;
-		fabricCanvas.sendBackwards(obj, true);
-		fabricCanvas.requestRenderAll();
+	async function encodeInWorker(canvas, mime, quality) {
+		if (getImageWorker() && typeof createImageBitmap === 'function') {
+			try {
+				const bitmap = await createImageBitmap(canvas);
+				return (await runImageJob({ type: 'encode', bitmap, mime, quality }, [bitmap])).blob;
+			} catch (e) {
+				console.warn('Worker encode failed, encoding on the main thread:', e);
+			}
+		}
+		return canvasToBlob(canvas, mime, quality);
 	}
 
-	function flipHorizontal() {
-		const obj = getActiveObject();
-		if (!obj) return;
-		obj.set('flipX', !obj.flipX);
-		fabricCanvas.requestRenderAll();
+	// Draws an image scaled to fit (or, with cover, fill) an outW×outH canvas, centred like renderDocumentBackground
+	function renderFittedImage(image, width, height, outW, outH, cover) {
+		const canvas = document.createElement('canvas');
+		canvas.width = outW;
+		canvas.height = outH;
+		const ctx = canvas.getContext('2d');
+		ctx.imageSmoothingQuality = 'high';
+		const scale = cover ? Math.max(outW / width, outH / height) : Math.min(outW / width, outH / height);
+		ctx.drawImage(image, (outW - width * scale) / 2, (outH - height * scale) / 2, width * scale, height * scale);
+		return canvas;
 	}
 
-	function flipVertical() {
-		const obj = getActiveObject();
-		if (!obj) return;
-		obj.set('flipY', !obj.flipY);
-		fabricCanvas.requestRenderAll();
+	// Export source (see getLiveExportSource) for a batch photo; the document is the photo itself, or the
+	// edited document baked into item.background once the user has tweaked it in the editor
+	function getBatchItemSource(item, photo, layers) {
+		return {
+			doc: { width: photo.width, height: photo.height },
+			preview: item.preview,
+			layers,
+			renderBackground: (outW, outH, { cover }) => renderFittedImage(photo.image, photo.width, photo.height, outW, outH, cover),
+			photoBlob: null
+		};
 	}
 
-	function deleteSelected() {
-		const obj = getActiveObject();
-		if (!obj) return;
-		fabricCanvas.remove(obj);
-		fabricCanvas.discardActiveObject();
-		fabricCanvas.requestRenderAll();
+	async function decodeBatchPhoto(blob) {
+		return capPhotoSize(await decodePhoto(blob), BATCH_MAX_EDGE);
 	}
 
-	function setOpacity(val) {
-		const obj = getActiveObject();
-		if (!obj) return;
-		obj.set('opacity', clamp(parseFloat(val) || 1, 0, 1));
-		fabricCanvas.requestRenderAll();
+	async function loadBatchItem(item) {
+		return getBatchItemSource(item, await decodeBatchPhoto(item.background || item.blob), await enlivenLayers(item.layers));
 	}
 
-	function setBlendMode(val) {
-		const obj = getActiveObject();
-		if (!obj) return;
-		obj.set('globalCompositeOperation', val);
-		if (obj.data) obj.data.blend = val;
-		fabricCanvas.requestRenderAll();
+	async function renderBatchThumbnail(source) {
+		const scene = await buildExportScene({ sizeSel: '160', cropSquare: false }, source);
+		return renderExportScene(scene).toDataURL('image/jpeg', 0.7);
 	}
 
-	/** Keyboard **/
-	function onKeyDown(e) {
-		// Ignore when typing in inputs or contenteditable
-		const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : '';
-		if (tag === 'input' || tag === 'textarea' || (e.target && e.target.isContentEditable)) return;
-		if (e.key === ' ' ) {
-			spaceKeyActive = true;
-		}
-		const obj = getActiveObject();
-		if (e.key === 'Delete' || e.key === 'Backspace') {
-			if (obj) {
-				deleteSelected();
-				e.preventDefault();
-			}
-		}
-		if (!obj) return;
-		const nudge = e.shiftKey ? 10 : 1;
-		switch (e.key) {
-			case 'ArrowLeft':
-				obj.left -= nudge;
-				break;
-			case 'ArrowRight':
-				obj.left += nudge;
-				break;
-			case 'ArrowUp':
-				obj.top -= nudge;
-				break;
-			case 'ArrowDown':
-				obj.top += nudge;
-				break;
-			default:
-				break;
-		}
-		if (['ArrowLeft','ArrowRight','ArrowUp','ArrowDown'].includes(e.key)) {
-			obj.setCoords();
-			fabricCanvas.requestRenderAll();
-			e.preventDefault();
-		}
-		// Duplicate: Ctrl/Cmd + D
-		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
-			obj.clone((cloned) => {
-				cloned.set({ left: (obj.left || 0) + 20, top: (obj.top || 0) + 20 });
-				fabricCanvas.add(cloned);
-				fabricCanvas.setActiveObject(cloned);
-				fabricCanvas.requestRenderAll();
-				pushHistory();
-			});
-			e.preventDefault();
-		}
-		// Undo/Redo
-		if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
-			doUndo();
-			e.preventDefault();
-		}
-		if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'y' || (e.shiftKey && e.key.toLowerCase() === 'z'))) {
-			doRedo();
-			e.preventDefault();
-		}
+	// The project the editor opens when the user tweaks a photo that has not been edited yet
+	function getBatchItemProject(item) {
+		return {
+			format: PROJECT_FORMAT,
+			version: PROJECT_VERSION,
+			canvas: item.preview,
+			photo: { blob: item.blob },
+			layers: item.layers,
+			photoEdits: defaultPhotoEdits()
+		};
 	}
-	function onKeyUp(e) {
-		if (e.key === ' ') {
-			spaceKeyActive = false;
-		}
+
+	// Enough to rebuild the editor with loadProject, keeping the photo as a Blob rather than a data URL
+	function snapshotProject() {
+		fabricCanvas.discardActiveObject();
+		return {
+			format: PROJECT_FORMAT,
+			version: PROJECT_VERSION,
+			canvas: { width: fabricCanvas.getWidth(), height: fabricCanvas.getHeight() },
+			photo: originalImageBlob
+				? { blob: originalImageBlob, naturalWidth: originalImageNaturalWidth, naturalHeight: originalImageNaturalHeight }
+				: null,
+			layers: fabricCanvas.toJSON(SERIALIZE_PROPS).objects || [],
+			template: canvasTemplate,
+			photoEdits: { ...photoEdits }
+		};
 	}
 
-	/** Undo/Redo **/
-	function pushHistory() {
-		try {
-			const json = fabricCanvas.toDatalessJSON(['data', 'globalCompositeOperation']);
-			historyStack.push(json);
-			if (historyStack.length > maxHistory) historyStack.shift();
-			redoStack.length = 0;
-		} catch {}
+	function batchFileName(item, ext, used) {
+		const base = item.name.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_') || 'photo';
+		let name = `${base}_mmga.${ext}`;
+		for (let n = 2; used.has(name); n++) name = `${base}_mmga_${n}.${ext}`;
+		used.add(name);
+		return name;
 	}
-	function doUndo() {
-		if (historyStack.length <= 1) return;
-		const current = historyStack.pop();
-		redoStack.push(current);
-		const prev = historyStack[historyStack.length - 1];
-		fabricCanvas.loadFromJSON(prev, () => fabricCanvas.requestRenderAll());
+
+	async function startBatch(files) {
+		const images = files.filter((f) => /^image\//.test(f.type) || /\.(heic|heif|avif)$/i.test(f.name));
+		if (!images.length) {
+			showNotification('None of those files are images', 'error');
+			return;
+		}
+		if (!fabricCanvas.getObjects().length) {
+			showNotification('Add your stickers first; the batch puts the current layout on every photo', 'info');
+			return;
+		}
+		const batch = {
+			layout: capturePresetLayers('auto'),
+			home: null, // the user's own document, set aside the first time a photo is opened in the editor
+			homeHistory: null,
+			homeSessionId: null,
+			// blob: downscaled photo; layers: placed layout in preview coordinates; project/background once edited
+			items: images.map((file) => ({ name: file.name, file, blob: null, preview: null, layers: null, project: null, background: null, thumb: '', error: null })),
+			busy: false,
+			cancelled: false,
+			task: Promise.resolve()
+		};
+		openBatchDialog(batch);
 	}
-	function doRedo() {
-		if (!redoStack.length) return;
-		const next = redoStack.pop();
-		historyStack.push(next);
-		fabricCanvas.loadFromJSON(next, () => fabricCanvas.requestRenderAll());
+
+	// Places the layout on the photo (following its first face where the layout says so) without touching the editor
+	async function prepareBatchItem(item, layout) {
+		item.blob = await downscaleBatchPhoto(item.file);
+		const photo = await decodeBatchPhoto(item.blob);
+		const { w, h } = getPreviewSize(photo);
+		const toPreview = (pt) => ({ x: pt.x * w / photo.width, y: pt.y * h / photo.height });
+		const faces = faceSettings.enabled ? await findFaces(photo.image, photo.width, photo.height).catch(() => []) : [];
+		const faceFrame = faces.length ? getFaceFrame(faces[0], toPreview) : null;
+		const canvasFrame = { w, h, unit: Math.min(w, h) };
+		const objects = await enlivenLayers(layout.map((l) => l.object));
+		objects.forEach((o, i) => {
+			const layer = layout[i];
+			if (faceFrame && layer.face) fromFramePlacement(o, layer.face, faceFrame);
+			else fromFramePlacement(o, layer.canvas, canvasFrame);
+			o.data = { ...(o.data || {}), presetId: BATCH_PRESET_ID };
+		});
+		item.preview = { width: w, height: h };
+		item.layers = objects.map((o) => o.toObject(SERIALIZE_PROPS));
+		item.thumb = await renderBatchThumbnail(getBatchItemSource(item, photo, objects));
 	}
 
-	/** Export **/
-	function openExportDialog() {
-		const dialog = document.createElement('div');
-		dialog.style.position = 'fixed';
-		dialog.style.inset = '0';
-		dialog.style.background = 'rgba(0,0,0,0.6)';
-		dialog.style.display = 'flex';
-		dialog.style.alignItems = 'center';
-		dialog.style.justifyContent = 'center';
-		dialog.style.zIndex = '10000';
-		const card = document.createElement('div');
-		card.style.background = 'rgba(15,20,25,0.95)';
-		card.style.border = '1px solid rgba(135,206,235,0.4)';
-		card.style.borderRadius = '12px';
-		card.style.padding = '16px';
-		card.style.minWidth = '320px';
-		card.style.maxWidth = '90vw';
-		card.style.color = '#fff';
-		card.innerHTML = `
-			<div style="display:flex; align-items:center; justify-content:space-between; gap:8px; margin-bottom:12px;">
-				<h3 style="margin:0; font-size:18px;">Export</h3>
-				<button class="btn btn-ghost" id="exportCloseBtn">✕</button>
+	function openBatchDialog(batch) {
+		const { dialog, card, body, close } = createDialog(`Batch: ${batch.items.length} photos`);
+		card.style.width = 'min(860px, 90vw)';
+		const rowStyle = 'display:flex; gap:8px; align-items:center; justify-content:space-between;';
+		body.innerHTML = `
+			<div style="${rowStyle}">
+				<progress id="batchProgress" value="0" max="1" style="flex:1;"></progress>
+				<span id="batchProgressText" style="font-size:12px; min-width:80px; text-align:right;"></span>
 			</div>
-			<div style="display:grid; gap:10px;">
-				<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
-					<span>Size</span>
-					<select id="exportSize" class="btn btn-secondary">
-						<option value="original">Original (${originalImageNaturalWidth}×${originalImageNaturalHeight})</option>
-						<option value="512">512px</option>
-						<option value="1024">1024px</option>
-						<option value="1500">1500px</option>
-						<option value="1080">1080px (IG)</option>
-						<option value="400">400px (X/Twitter)</option>
-						<option value="128">128px (Discord)</option>
+			<div id="batchGrid" style="display:grid; grid-template-columns:repeat(auto-fill, minmax(132px, 1fr)); gap:10px;"></div>
+			<div style="${rowStyle} flex-wrap:wrap;">
+				<span style="display:flex; gap:8px; align-items:center;">
+					<select id="batchSize" class="btn btn-secondary">
+						${getExportSizeOptions().map((o) => `<option value="${o.value}">${o.label}</option>`).join('')}
 					</select>
-				</label>
-				<label style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
-					<span>Format</span>
-					<select id="exportFormat" class="btn btn-secondary">
-						<option value="png">PNG</option>
-						<option value="jpg">JPG</option>
-						<option value="webp">WebP</option>
+					<select id="batchFormat" class="btn btn-secondary">
+						${EXPORT_FORMATS.map((o) => `<option value="${o.value}">${o.label}</option>`).join('')}
 					</select>
-				</label>
-				<div id="qualityRow" style="display:flex; gap:8px; align-items:center; justify-content:space-between;">
-					<span>Quality</span>
-					<input type="range" id="exportQuality" min="0" max="1" step="0.01" value="0.95" style="width:160px;" />
-				</div>
-				<label style="display:flex; gap:8px; align-items:center;">
-					<input type="checkbox" id="exportCenterCrop" />
-					<span>Center-crop to square</span>
-				</label>
-				<button class="btn btn-primary" id="exportGoBtn">Download</button>
+				</span>
+				<button class="btn btn-primary" id="batchZipBtn" disabled>Download ZIP</button>
 			</div>
 		`;
-		dialog.appendChild(card);
-		document.body.appendChild(dialog);
+		const grid = body.querySelector('#batchGrid');
+		const progress = body.querySelector('#batchProgress');
+		const progressText = body.querySelector('#batchProgressText');
+		const sizeSel = body.querySelector('#batchSize');
+		const fmtSel = body.querySelector('#batchFormat');
+		const zipBtn = body.querySelector('#batchZipBtn');
+		sizeSel.value = exportSettings.sizeSel;
+		fmtSel.value = exportSettings.fmt;
 
-		const formatSel = card.querySelector('#exportFormat');
-		const qualityRow = card.querySelector('#qualityRow');
-		const qualityInput = card.querySelector('#exportQuality');
-		function updateQualityVisibility() {
-			const fmt = formatSel.value;
-			qualityRow.style.display = (fmt === 'jpg' || fmt === 'webp') ? 'flex' : 'none';
-		}
-		formatSel.onchange = updateQualityVisibility;
-		updateQualityVisibility();
+		const setProgress = (done, total, label) => {
+			progress.value = total ? done / total : 0;
+			progressText.textContent = `${label} ${done} / ${total}`;
+		};
 
-		card.querySelector('#exportCloseBtn').onclick = () => dialog.remove();
-		card.querySelector('#exportGoBtn').onclick = async () => {
-			const sizeSel = card.querySelector('#exportSize').value;
-			const fmt = formatSel.value;
-			const cropSquare = card.querySelector('#exportCenterCrop').checked;
-			const quality = parseFloat(qualityInput.value || '0.95');
+		const renderGrid = () => {
+			grid.innerHTML = '';
+			batch.items.forEach((item, index) => {
+				const cell = document.createElement('div');
+				cell.style.cssText = 'display:grid; gap:6px; padding:6px; background:rgba(255,255,255,0.05); border-radius:8px;';
+				cell.innerHTML = `
+					<img alt="" style="width:100%; aspect-ratio:1; object-fit:contain; background:#000; border-radius:6px;" />
+					<div style="font-size:12px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;"></div>
+					<div style="display:flex; gap:6px;">
+						<button class="btn-view" data-action="edit" style="flex:1;">Edit</button>
+						<button class="btn-view" data-action="remove" title="Leave this photo out">✕</button>
+					</div>
+				`;
+				const img = cell.querySelector('img');
+				if (item.thumb) img.src = item.thumb;
+				const label = cell.querySelector('div');
+				label.textContent = item.error ? `${item.name} — ${item.error}` : item.name;
+				label.title = item.name;
+				if (item.error) label.style.color = '#ff8a8a';
+				const editBtn = cell.querySelector('[data-action="edit"]');
+				editBtn.disabled = batch.busy || !item.layers;
+				editBtn.onclick = () => editBatchItem(index);
+				const removeBtn = cell.querySelector('[data-action="remove"]');
+				removeBtn.disabled = batch.busy;
+				removeBtn.onclick = () => {
+					batch.items.splice(index, 1);
+					renderGrid();
+				};
+				grid.appendChild(cell);
+			});
+			zipBtn.disabled = batch.busy || !batch.items.some((item) => item.layers);
+		};
+
+		// Closing stops whatever is running and, if a photo was opened in the editor, puts the user's own canvas back
+		const finish = async () => {
+			if (batch.cancelled) return;
+			batch.cancelled = true;
+			close();
+			editBar?.remove();
+			if (!batch.home) return;
 			try {
-				const { blob, width, height, ext } = await exportImage({ sizeSel, fmt, cropSquare, quality });
-				const a = document.createElement('a');
-				const ts = getTimestamp();
-				const filename = `pfp_${width}x${height}_${ts}.${ext}`;
-				a.href = URL.createObjectURL(blob);
-				a.download = filename;
-				a.click();
-				URL.revokeObjectURL(a.href);
-				showNotification('Exported', 'success');
-				dialog.remove();
+				await batch.task;
+				await loadProject(batch.home);
+				restoreHistory(batch.homeHistory);
+				currentSessionId = batch.homeSessionId;
 			} catch (e) {
 				console.error(e);
-				showNotification('Export failed', 'error');
+				showNotification('Could not restore your canvas after the batch', 'error');
+			} finally {
+				autosavePaused = false;
 			}
 		};
-	}
+		card.querySelector('[data-dialog-close]').onclick = finish;
 
-	async function exportImage({ sizeSel, fmt, cropSquare, quality }) {
-		if (!originalImage) throw new Error('No photo loaded');
-		let outW, outH;
-		if (sizeSel === 'original') {
-			outW = originalImageNaturalWidth;
-			outH = originalImageNaturalHeight;
-			// If center-crop is enabled with original size, make output square based on smallest dimension
-			if (cropSquare) {
-				const size = Math.max(outW, outH);
-				outW = size;
-				outH = size;
+		// Per-photo tweaks happen in the full editor; the dialog waits behind a small bar
+		let editBar = null;
+		const editBatchItem = async (index) => {
+			const item = batch.items[index];
+			if (!batch.home) {
+				// The editor is about to show batch photos: save the user's document, then set it and its history aside
+				autosaveSession();
+				autosavePaused = true;
+				batch.home = snapshotProject();
+				batch.homeHistory = stashHistory();
+				batch.homeSessionId = currentSessionId;
 			}
-		} else {
-			const s = parseInt(sizeSel, 10);
-			if (cropSquare) {
-				// Square output when center-crop is enabled
-				outW = s;
-				outH = s;
-			} else {
-				// Maintain aspect ratio when center-crop is disabled
-				const aspect = originalImageNaturalWidth / originalImageNaturalHeight;
-				if (aspect >= 1) {
-					// Landscape or square
-					outW = s;
-					outH = Math.round(s / aspect);
-				} else {
-					// Portrait
-					outH = s;
-					outW = Math.round(s * aspect);
-				}
+			dialog.style.display = 'none';
+			try {
+				await loadProject(item.project || getBatchItemProject(item));
+			} catch (e) {
+				console.error(e);
+				showNotification('Could not open this photo for editing', 'error');
+				dialog.style.display = 'flex';
+				return;
 			}
-		}
-
-		// Prepare an offscreen Fabric StaticCanvas for crisp output
-		const staticCanvas = new fabric.StaticCanvas(null, { 
-			width: outW, 
-			height: outH, 
-			enableRetinaScaling: false,
-			imageSmoothingEnabled: true
-		});
-
-		// Background photo: scale to fill the export canvas exactly as shown in preview
-		const bgImage = new fabric.Image(originalImage, { 
-			selectable: false, 
-			evented: false,
-			objectCaching: false
-		});
-		// Use cover scaling if center-crop is enabled, otherwise contain to match preview
-		const cover = !!cropSquare;
-		const scale = cover
-			? Math.max(outW / originalImageNaturalWidth, outH / originalImageNaturalHeight)
-			: Math.min(outW / originalImageNaturalWidth, outH / originalImageNaturalHeight);
-		bgImage.scale(scale);
-		bgImage.set({ left: (outW - originalImageNaturalWidth * scale) / 2, top: (outH - originalImageNaturalHeight * scale) / 2 });
-		staticCanvas.add(bgImage);
+			editBar = document.createElement('div');
+			editBar.className = 'batch-edit-bar';
+			editBar.innerHTML = `
+				<span></span>
+				<button class="btn btn-primary" data-action="save">Save to batch</button>
+				<button class="btn btn-ghost" data-action="cancel">Discard changes</button>
+			`;
+			editBar.querySelector('span').textContent = `Editing ${index + 1} of ${batch.items.length}: ${item.name}`;
+			const back = () => {
+				editBar.remove();
+				editBar = null;
+				dialog.style.display = 'flex';
+				renderGrid();
+			};
+			// Photo edits and templates are baked into a background, so exports can composite the item off-screen
+			editBar.querySelector('[data-action="save"]').onclick = async () => {
+				try {
+					const project = snapshotProject();
+					const doc = getDocumentSize();
+					item.background = await encodeInWorker(renderDocumentBackground(doc.width, doc.height, { fullRes: true }), 'image/png');
+					item.project = project;
+					item.preview = project.canvas;
+					item.layers = project.layers;
+					item.thumb = renderCanvasThumbnail();
+				} catch (e) {
+					console.error(e);
+					showNotification('Could not save this photo to the batch', 'error');
+					return;
+				}
+				back();
+			};
+			editBar.querySelector('[data-action="cancel"]').onclick = back;
+			document.body.appendChild(editBar);
+		};
 
-		// Map stickers from preview coordinates to export coordinates
-		const previewW = fabricCanvas.getWidth();
-		const previewH = fabricCanvas.getHeight();
-		const exportScaleX = outW / previewW;
-		const exportScaleY = outH / previewH;
-		const objs = fabricCanvas.getObjects().filter((o) => o !== fabricCanvas.backgroundImage);
-		for (const o of objs) {
-			// Only handle images (stickers)
-			if (o.type !== 'image') continue;
-			const clone = fabric.util.object.clone(o);
-			clone.set({
-				left: (o.left || 0) * exportScaleX,
-				top: (o.top || 0) * exportScaleY,
-				scaleX: (o.scaleX || 1) * exportScaleX,
-				scaleY: (o.scaleY || 1) * exportScaleY,
-				originX: o.originX,
-				originY: o.originY,
-				angle: o.angle || 0,
-				flipX: !!o.flipX,
-				flipY: !!o.flipY,
-				opacity: o.opacity == null ? 1 : o.opacity,
-				globalCompositeOperation: o.globalCompositeOperation || 'source-over'
+		const run = (fn) => {
+			batch.busy = true;
+			renderGrid();
+			batch.task = fn().finally(() => {
+				batch.busy = false;
+				if (!batch.cancelled) renderGrid();
 			});
-			staticCanvas.add(clone);
-		}
-
-		staticCanvas.renderAll();
+		};
 
-		// If output is JPG, set opaque white background to avoid black transparency
-		if (fmt === 'jpg') {
-			const ctx = staticCanvas.getContext();
-			const imageData = ctx.getImageData(0, 0, outW, outH);
-			const tmpCanvas = document.createElement('canvas');
-			tmpCanvas.width = outW;
-			tmpCanvas.height = outH;
-			const tctx = tmpCanvas.getContext('2d');
-			tctx.fillStyle = '#ffffff';
-			tctx.fillRect(0, 0, outW, outH);
-			tctx.putImageData(imageData, 0, 0);
-			const blob = await new Promise((resolve) => tmpCanvas.toBlob(resolve, 'image/jpeg', clamp(quality, 0, 1)));
-			return { blob, width: outW, height: outH, ext: 'jpg' };
-		}
-		if (fmt === 'webp') {
-			const blob = await new Promise((resolve) => staticCanvas.toCanvasElement().toBlob(resolve, 'image/webp', clamp(quality, 0, 1)));
-			return { blob, width: outW, height: outH, ext: 'webp' };
-		}
-		// PNG default
-		const blob = await new Promise((resolve) => staticCanvas.toCanvasElement().toBlob(resolve, 'image/png'));
-		return { blob, width: outW, height: outH, ext: 'png' };
-	}
+		zipBtn.onclick = () => run(async () => {
+			const ready = batch.items.filter((item) => item.layers);
+			exportSettings.sizeSel = sizeSel.value;
+			exportSettings.fmt = fmtSel.value;
+			try {
+				const files = [];
+				const used = new Set();
+				for (let i = 0; i < ready.length && !batch.cancelled; i++) {
+					setProgress(i, ready.length, 'Exporting');
+					const source = await loadBatchItem(ready[i]);
+					const { blob, ext } = await exportImage({
+						sizeSel: exportSettings.sizeSel,
+						fmt: exportSettings.fmt,
+						cropSquare: exportSettings.cropSquare,
+						quality: exportSettings.quality,
+						maskShape: exportSettings.applyMask ? exportSettings.maskShape : 'none',
+						metadata: exportSettings.metadata
+					}, { encode: encodeInWorker, source });
+					files.push({ name: batchFileName(ready[i], ext, used), blob });
+					await new Promise((resolve) => setTimeout(resolve, 0));
+				}
+				if (batch.cancelled) return;
+				setProgress(ready.length, ready.length, 'Exported');
+				downloadBlob(await createZip(files), `pfp_batch_${getTimestamp()}.zip`);
+				showNotification(`Exported ${files.length} PFPs`, 'success');
+			} catch (e) {
+				console.error(e);
+				showNotification('Batch export failed', 'error');
+			}
+		});
 
-	function resetProject() {
-		if (!fabricCanvas) return;
-		fabricCanvas.clear();
-		fabricCanvas.setBackgroundImage(null, () => {});
-		originalImage = null;
-		originalImageNaturalWidth = 0;
-		originalImageNaturalHeight = 0;
-		setOneToOne();
-		showNotification('Project reset');
-		// Show canvas instructions again
-		const instructions = document.getElementById('canvasInstructions');
-		if (instructions) instructions.classList.remove('hidden');
+		run(async () => {
+			for (let i = 0; i < batch.items.length && !batch.cancelled; i++) {
+				const item = batch.items[i];
+				setProgress(i, batch.items.length, 'Placing');
+				try {
+					await prepareBatchItem(item, batch.layout);
+				} catch (e) {
+					console.error(`Batch: could not process ${item.name}`, e);
+					item.error = 'could not be read';
+				}
+				renderGrid();
+				// Keep the dialog responsive between photos
+				await new Promise((resolve) => setTimeout(resolve, 0));
+			}
+			setProgress(batch.items.length, batch.items.length, 'Placed');
+		});
 	}
 
 	/** Token Copy **/
@@ -794,10 +6680,10 @@
 		});
 
 		photoInput?.addEventListener('change', async (e) => {
-			const file = e.target.files && e.target.files[0];
-			if (!file) return;
-			await setBackgroundFromFile(file);
+			const files = Array.from(e.target.files || []);
 			e.target.value = '';
+			if (files.length > 1) await startBatch(files);
+			else if (files.length) await setBackgroundFromFile(files[0]);
 		});
 		newProjectBtn?.addEventListener('click', resetProject);
 		resetBtn?.addEventListener('click', resetProject);
@@ -814,6 +6700,35 @@
 			currentZoom = z;
 		});
 		exportBtn?.addEventListener('click', openExportDialog);
+		newFromTemplateBtn?.addEventListener('click', openTemplateDialog);
+		saveProjectBtn?.addEventListener('click', saveProjectFile);
+		recentSessionsBtn?.addEventListener('click', openRecentSessionsDialog);
+		addTextBtn?.addEventListener('click', addTextLayer);
+		bringToFrontBtn?.addEventListener('click', bringToFront);
+		sendToBackBtn?.addEventListener('click', sendToBack);
+		memeTextBtn?.addEventListener('click', addMemeCaptions);
+		presetsBtn?.addEventListener('click', openPresetsDialog);
+		wireTextToolbar();
+		wireTintToolbar();
+		wireAdjustToolbar();
+		wirePhotoToolbar();
+		wireCanvasDrop();
+		wireDrawToolbar();
+		faceCycleBtn?.addEventListener('click', cycleFace);
+		faceDetectBtn?.addEventListener('click', () => setFaceDetection(!faceSettings.enabled));
+		customStickerInput?.addEventListener('change', async (e) => {
+			const files = Array.from(e.target.files || []);
+			e.target.value = '';
+			if (files.length) await importCustomStickerFiles(files);
+		});
+		avatarMaskSelect?.addEventListener('change', (e) => setAvatarMask(e.target.value));
+		openProjectBtn?.addEventListener('click', () => projectInput?.click());
+		projectInput?.addEventListener('change', async (e) => {
+			const file = e.target.files && e.target.files[0];
+			if (!file) return;
+			await openProjectFile(file);
+			e.target.value = '';
+		});
 		bringForwardBtn?.addEventListener('click', bringForward);
 		sendBackwardBtn?.addEventListener('click', sendBackward);
 		flipHBtn?.addEventListener('click', flipHorizontal);
@@ -821,10 +6736,21 @@
 		deleteBtn?.addEventListener('click', deleteSelected);
 		opacityRange?.addEventListener('input', (e) => setOpacity(e.target.value));
 		blendModeSelect?.addEventListener('change', (e) => setBlendMode(e.target.value));
+		motionSelect?.addEventListener('change', (e) => setMotion(e.target.value));
+		wireArrangeToolbar();
+		wireInspector();
+		snapMarginSelect?.addEventListener('change', (e) => {
+			snapSettings.margin = parseFloat(e.target.value) || 0;
+		});
 		stickerSearch?.addEventListener('input', renderStickerGrid);
+		wireStickerSheet();
 
 		document.addEventListener('keydown', onKeyDown);
 		document.addEventListener('keyup', onKeyUp);
+		// Flush pending autosave when the tab is hidden or closed
+		document.addEventListener('visibilitychange', () => {
+			if (document.visibilityState === 'hidden') autosaveSession();
+		});
 	}
 
 	/** Start **/
@@ -833,6 +6759,8 @@
 		wireUI();
 		await loadStickerPacks();
 		initHatRain();
+		renderLayersPanel();
+		offerSessionRestore();
 	});
 
 	/** Hat Rain Effect **/